@@ -7,13 +7,48 @@
  *   node manage-devices.js list              - List all registered devices
  *   node manage-devices.js delete <token>    - Delete a specific device
  *   node manage-devices.js clean             - Remove all devices (fresh start)
+ *   node manage-devices.js history [options] - Show recent notification decisions and deliveries
+ *       --camera <name>  --device <name|token>  --since <2h|ISO date>  --until <ISO date>  --limit <n>
+ *   node manage-devices.js snooze [list]     - List active snoozes
+ *   node manage-devices.js snooze add [options] - Snooze a camera and/or label
+ *       --camera <name>  --label <label>  --for <30m|2h|1d> (default 1h)  --until <ISO date>  --device <name|token>
+ *   node manage-devices.js snooze delete <id> - End a snooze early (ID prefix is enough)
+ *   node manage-devices.js pair [options]    - Issue a one-time pairing code (and QR payload) for a new device
+ *       --name <device name>  --for <10m|1h>  --url <bridge URL the phone uses>
+ *   node manage-devices.js revoke <name|token> - Revoke a device's API key
  */
 
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 
 const BRIDGE_URL = process.env.BRIDGE_URL || 'http://localhost:3002';
 
+// Admin key: ADMIN_KEY, or the key the bridge generated in ./data/admin_key.json
+function loadAdminKey() {
+  if (process.env.ADMIN_KEY) {
+    return process.env.ADMIN_KEY;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'admin_key.json'), 'utf8')).adminKey;
+  } catch (error) {
+    return null;
+  }
+}
+
+const ADMIN_KEY = loadAdminKey();
+if (ADMIN_KEY) {
+  axios.defaults.headers.common.Authorization = `Bearer ${ADMIN_KEY}`;
+}
+
+axios.interceptors.response.use(null, error => {
+  if (error.response?.status === 401 || error.response?.status === 403) {
+    console.error(`⚠️  The bridge rejected the admin key${ADMIN_KEY ? '' : ' (none found)'}. Set ADMIN_KEY or run from the bridge directory (./data/admin_key.json).`);
+  }
+  return Promise.reject(error);
+});
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -27,6 +62,26 @@ function prompt(question) {
   });
 }
 
+function formatHealth(health) {
+  if (!health || health.state === 'healthy') {
+    return '✅ Healthy';
+  }
+  if (health.state === 'inactive') {
+    return `⛔ Inactive since ${health.inactiveSince || 'unknown'} (token rejected - re-register in the app)`;
+  }
+  return `⚠️  Failing (${health.consecutiveFailures} consecutive failures)`;
+}
+
+function formatKey(device) {
+  if (device.keyRevokedAt) {
+    return `🚫 Revoked ${device.keyRevokedAt}`;
+  }
+  if (!device.keyIssuedAt) {
+    return 'None (registered before device keys - re-register in the app)';
+  }
+  return `🔑 Issued ${device.keyIssuedAt} via ${device.keyIssuedVia}`;
+}
+
 async function listDevices() {
   try {
     console.log('📱 Fetching registered devices...\n');
@@ -51,6 +106,11 @@ async function listDevices() {
       console.log(`   Token:      ${device.token}`);
       console.log(`   Registered: ${device.registeredAt || 'Unknown'}`);
       console.log(`   Last Seen:  ${device.lastSeen || device.lastUsed || 'Never'}`);
+      console.log(`   Health:     ${formatHealth(device.health)}`);
+      console.log(`   API Key:    ${formatKey(device)}`);
+      if (device.health?.lastError && device.health.state !== 'healthy') {
+        console.log(`   Last Error: ${device.health.lastError} (${device.health.lastFailureAt})`);
+      }
     });
     
     console.log('\n' + '═'.repeat(80) + '\n');
@@ -153,6 +213,242 @@ async function interactiveDelete() {
   console.log('\n❌ Invalid selection. Please run again.\n');
 }
 
+// Parse "--key value" pairs from the command line
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      options[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+// Convert a relative duration ("30m", "2h", "7d") to an ISO date; anything else is passed through
+function toHistoryTime(value) {
+  const match = /^(\d+)([smhd])$/.exec(value || '');
+  if (!match) {
+    return value;
+  }
+  const seconds = { s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return new Date(Date.now() - parseInt(match[1]) * seconds * 1000).toISOString();
+}
+
+const DECISION_ICONS = {
+  sent: '📨',
+  image_update: '🖼️ ',
+  summary: '🧾',
+  digest: '🗂️ ',
+  filtered: '🚫',
+  muted: '🔕',
+  snoozed: '😴',
+  cooldown: '⏳',
+};
+
+const DELIVERY_ICONS = {
+  sent: '✅',
+  queued: '🔁',
+  digest: '🗂️ ',
+  failed: '❌',
+  skipped: '⏭️ ',
+};
+
+async function showHistory(options) {
+  try {
+    const params = {
+      camera: options.camera,
+      device: options.device,
+      since: toHistoryTime(options.since),
+      until: toHistoryTime(options.until),
+      limit: options.limit || 20,
+    };
+    
+    const response = await axios.get(`${BRIDGE_URL}/history`, { params });
+    const { count, total, entries } = response.data;
+    
+    if (count === 0) {
+      console.log('✅ No notification history matches.\n');
+      return;
+    }
+    
+    console.log(`📜 Showing ${count} of ${total} matching entries (newest first)\n`);
+    console.log('═'.repeat(80));
+    
+    entries.forEach(entry => {
+      const id = entry.reviewId || entry.eventId || 'unknown';
+      const objects = entry.objects.length > 0 ? entry.objects.join(', ') : 'unknown';
+      console.log(`\n${DECISION_ICONS[entry.decision] || '•'} ${entry.time}  ${entry.camera}: ${objects} (${entry.severity || entry.source})`);
+      console.log(`   ID:       ${id}`);
+      console.log(`   Decision: ${entry.decision}${entry.reason ? ` - ${entry.reason}` : ''}`);
+      entry.deliveries.forEach(delivery => {
+        const detail = delivery.error || delivery.reason || delivery.messageId || '';
+        console.log(`   ${DELIVERY_ICONS[delivery.status] || '•'} ${delivery.device} [${delivery.transport}] ${delivery.status}${detail ? ` - ${detail}` : ''}`);
+      });
+      (entry.actions || []).forEach(action => {
+        console.log(`   👆 ${action.device} pressed ${action.action}: ${action.result}${action.error ? ` - ${action.error}` : ''}`);
+      });
+    });
+    
+    console.log('\n' + '═'.repeat(80) + '\n');
+    
+  } catch (error) {
+    if (error.response?.status === 400) {
+      console.error(`❌ ${error.response.data.error}\n`);
+    } else {
+      console.error('❌ Error fetching history:', error.message, '\n');
+    }
+  }
+}
+
+async function listSnoozes() {
+  try {
+    const response = await axios.get(`${BRIDGE_URL}/snooze`);
+    const { count, snoozes } = response.data;
+    
+    if (count === 0) {
+      console.log('✅ No active snoozes.\n');
+      return [];
+    }
+    
+    console.log(`😴 Active snoozes: ${count}\n`);
+    snoozes.forEach(snooze => {
+      const target = [snooze.camera && `camera ${snooze.camera}`, snooze.label && `label ${snooze.label}`].filter(Boolean).join(' + ');
+      console.log(`🔹 ${snooze.id}`);
+      console.log(`   Snoozed:  ${target}`);
+      console.log(`   Until:    ${snooze.until}`);
+      console.log(`   Devices:  ${snooze.deviceName || 'All devices'}`);
+      console.log(`   Source:   ${snooze.source}\n`);
+    });
+    return snoozes;
+    
+  } catch (error) {
+    console.error('❌ Error fetching snoozes:', error.message, '\n');
+    return [];
+  }
+}
+
+async function addSnooze(options) {
+  try {
+    const body = {
+      camera: options.camera || null,
+      label: options.label || null,
+    };
+    if (options.until) {
+      body.until = options.until;
+    } else {
+      const match = /^(\d+)([mhd])$/.exec(options.for || '1h');
+      if (!match) {
+        console.error('❌ --for must look like 30m, 2h or 1d\n');
+        return;
+      }
+      body.minutes = parseInt(match[1]) * { m: 1, h: 60, d: 1440 }[match[2]];
+    }
+    if (options.device) {
+      body.device = options.device; // Name or full push token - resolved by the bridge
+    }
+    
+    const response = await axios.post(`${BRIDGE_URL}/snooze`, body);
+    const { snooze } = response.data;
+    console.log(`✅ Snoozed until ${snooze.until} for ${snooze.deviceName || 'all devices'} (ID: ${snooze.id})\n`);
+    
+  } catch (error) {
+    if (error.response?.status === 400 || error.response?.status === 404) {
+      console.error(`❌ ${error.response.data.error}\n`);
+    } else {
+      console.error('❌ Error adding snooze:', error.message, '\n');
+    }
+  }
+}
+
+async function deleteSnooze(idPrefix) {
+  if (!idPrefix) {
+    console.error('❌ Usage: node manage-devices.js snooze delete <id>\n');
+    return;
+  }
+  try {
+    const response = await axios.get(`${BRIDGE_URL}/snooze`);
+    const matches = response.data.snoozes.filter(snooze => snooze.id.startsWith(idPrefix));
+    if (matches.length !== 1) {
+      console.error(matches.length === 0 ? '❌ Snooze not found.\n' : '❌ ID prefix matches several snoozes, use more characters.\n');
+      return;
+    }
+    
+    await axios.delete(`${BRIDGE_URL}/snooze/${matches[0].id}`);
+    console.log('✅ Snooze removed.\n');
+    
+  } catch (error) {
+    console.error('❌ Error removing snooze:', error.message, '\n');
+  }
+}
+
+async function pairDevice(options) {
+  try {
+    const body = {};
+    if (options.name) {
+      body.name = options.name;
+    }
+    if (options.url) {
+      body.bridgeUrl = options.url;
+    }
+    if (options.for) {
+      const match = /^(\d+)([mh])$/.exec(options.for);
+      if (!match) {
+        console.error('❌ --for must look like 10m or 1h\n');
+        return;
+      }
+      body.minutes = parseInt(match[1]) * { m: 1, h: 60 }[match[2]];
+    }
+    
+    const response = await axios.post(`${BRIDGE_URL}/pairing`, body);
+    const { code, name, expiresAt, qrPayload } = response.data;
+    
+    console.log(`🔗 Pairing code${name ? ` for ${name}` : ''}:\n`);
+    console.log(`   ${code}\n`);
+    console.log(`   Valid once, until ${expiresAt}`);
+    console.log('   Enter it in the app under Settings → Notifications → Local Bridge, or scan the QR payload:\n');
+    console.log(`   ${qrPayload}\n`);
+    if (!JSON.parse(qrPayload).bridgeUrl) {
+      console.log('💡 Pass --url (or set BRIDGE_PUBLIC_URL on the bridge) to include the bridge URL in the QR payload.');
+    }
+    console.log(`💡 Render it as a QR code with e.g.: qrencode -t ansiutf8 '${qrPayload}'\n`);
+    
+  } catch (error) {
+    if (error.response?.status === 400) {
+      console.error(`❌ ${error.response.data.error}\n`);
+    } else {
+      console.error('❌ Error issuing pairing code:', error.message, '\n');
+    }
+  }
+}
+
+async function revokeDeviceKey(nameOrToken) {
+  if (!nameOrToken) {
+    console.error('❌ Usage: node manage-devices.js revoke <name|token>\n');
+    return;
+  }
+  try {
+    const response = await axios.get(`${BRIDGE_URL}/devices`);
+    const matches = response.data.devices.filter(device =>
+      device.name.toLowerCase() === nameOrToken.toLowerCase() || device.token.startsWith(nameOrToken.substring(0, 30))
+    );
+    if (matches.length !== 1) {
+      console.error(matches.length === 0 ? '❌ Device not found.\n' : '❌ Several devices match, use the token instead.\n');
+      return;
+    }
+    
+    await axios.delete(`${BRIDGE_URL}/devices/${encodeURIComponent(matches[0].token)}/key`);
+    console.log(`✅ Revoked the API key of ${matches[0].name}. It still receives notifications - use "delete" to remove it entirely.\n`);
+    
+  } catch (error) {
+    if (error.response?.status === 409) {
+      console.error(`❌ ${error.response.data.error}\n`);
+    } else {
+      console.error('❌ Error revoking device key:', error.message, '\n');
+    }
+  }
+}
+
 async function main() {
   const command = process.argv[2];
   const arg = process.argv[3];
@@ -169,14 +465,50 @@ async function main() {
     }
   } else if (command === 'clean') {
     await cleanAllDevices();
+  } else if (command === 'history') {
+    await showHistory(parseOptions(process.argv.slice(3)));
+  } else if (command === 'snooze') {
+    if (!arg || arg === 'list') {
+      await listSnoozes();
+    } else if (arg === 'add') {
+      await addSnooze(parseOptions(process.argv.slice(4)));
+    } else if (arg === 'delete') {
+      await deleteSnooze(process.argv[4]);
+    } else {
+      console.log(`❌ Unknown snooze command: ${arg}\n`);
+    }
+  } else if (command === 'pair') {
+    await pairDevice(parseOptions(process.argv.slice(3)));
+  } else if (command === 'revoke') {
+    await revokeDeviceKey(arg);
   } else if (command === 'help') {
     console.log('Usage:');
     console.log('  node manage-devices.js list              - List all registered devices');
     console.log('  node manage-devices.js delete [token]    - Delete a specific device');
     console.log('  node manage-devices.js clean             - Remove all devices');
+    console.log('  node manage-devices.js history [options] - Show notification history');
+    console.log('      --camera <name>         Only this camera');
+    console.log('      --device <name|token>   Only deliveries to this device');
+    console.log('      --since <2h|ISO date>   Start of time range (relative: s, m, h, d)');
+    console.log('      --until <ISO date>      End of time range');
+    console.log('      --limit <n>             Number of entries (default: 20)');
+    console.log('  node manage-devices.js snooze [list]     - List active snoozes');
+    console.log('  node manage-devices.js snooze add [options] - Snooze a camera and/or label');
+    console.log('      --camera <name>         Camera ("backyard" or "instance/backyard")');
+    console.log('      --label <label>         Object label (e.g. person)');
+    console.log('      --for <30m|2h|1d>       Duration (default: 1h)');
+    console.log('      --until <ISO date>      End time instead of --for');
+    console.log('      --device <name|token>   Only this device (default: all devices)');
+    console.log('  node manage-devices.js snooze delete <id> - End a snooze early');
+    console.log('  node manage-devices.js pair [options]    - Issue a one-time pairing code for a new device');
+    console.log('      --name <device name>    Who the code is for (used if the app sends no name)');
+    console.log('      --for <10m|1h>          How long the code is valid (default: 10m)');
+    console.log('      --url <bridge URL>      Bridge URL for the QR payload (default: BRIDGE_PUBLIC_URL)');
+    console.log('  node manage-devices.js revoke <name|token> - Revoke a device\'s API key');
     console.log('  node manage-devices.js help              - Show this help\n');
     console.log('Environment Variables:');
-    console.log('  BRIDGE_URL - Bridge URL (default: http://localhost:3002)\n');
+    console.log('  BRIDGE_URL - Bridge URL (default: http://localhost:3002)');
+    console.log('  ADMIN_KEY  - Admin key (default: read from ./data/admin_key.json)\n');
   } else {
     console.log(`❌ Unknown command: ${command}`);
     console.log('Run "node manage-devices.js help" for usage.\n');
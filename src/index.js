@@ -5,7 +5,13 @@ const express = require('express');
 const admin = require('firebase-admin');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { version } = require('../package.json');
+const { selfHostedTransports, redactTransportSettings } = require('./transports');
+const prometheus = require('./metrics');
+const storage = require('./storage');
+const settings = require('./settings');
+const notificationTemplates = require('./templates');
 
 // Log version on startup
 console.log(`[Bridge] Aviant Push Bridge v${version}`);
@@ -15,815 +21,3067 @@ console.log(`[Bridge] Starting up...`);
 const timezone = process.env.TZ || 'System default';
 console.log(`[Bridge] Timezone: ${timezone}`);
 
-// Configuration
-const config = {
-  mqtt: {
-    host: process.env.MQTT_HOST || 'mqtt://localhost:1883',
-    username: process.env.MQTT_USERNAME,
-    password: process.env.MQTT_PASSWORD,
-    topic: process.env.MQTT_TOPIC || 'frigate/reviews', // Use reviews by default (recommended by Frigate docs)
-  },
-  frigate: {
-    url: process.env.FRIGATE_URL || 'http://localhost:5000',
-  },
-  bridge: {
-    port: parseInt(process.env.BRIDGE_PORT || '3002'),
-  },
-  notifications: {
-    cooldown: parseInt(process.env.NOTIFICATION_COOLDOWN || '30'), // seconds between notifications per camera
-    filterLabels: process.env.FILTER_LABELS?.split(',').filter(Boolean) || [], // Only these labels (empty = all)
-    filterCameras: process.env.FILTER_CAMERAS?.split(',').filter(Boolean) || [], // Only these cameras (empty = all)
-    severityFilter: process.env.SEVERITY_FILTER || 'alert', // 'alert', 'detection', or 'all'
-  },
-};
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Configuration: environment variables over the config file (data/bridge.yml) over defaults - see src/settings.js.
+// Reloadable settings are updated in place, so read them from `config` when used rather than copying them.
+let config;
+try {
+  config = settings.load({ dataDir: DATA_DIR });
+} catch (err) {
+  console.error(`[Config] ${err.message}`);
+  process.exit(1);
+}
 
 // Notification Proxy Configuration
 // Uses Cloudflare Worker to send notifications (FCM credentials secured there)
-const NOTIFICATION_PROXY_BASE_URL = process.env.NOTIFICATION_PROXY_URL || 'https://notify.aviant.app';
+const NOTIFICATION_PROXY_BASE_URL = config.proxy.url;
 const NOTIFICATION_PROXY_URL = `${NOTIFICATION_PROXY_BASE_URL}/send`; // Full endpoint for sending notifications
-let NOTIFICATION_PROXY_TOKEN = process.env.NOTIFICATION_PROXY_TOKEN || null; // Will be auto-generated on first run
-
-console.log('[Proxy] Notification proxy:', NOTIFICATION_PROXY_BASE_URL);
-console.log('[Proxy] FCM credentials secured in Cloudflare Worker (not in bridge)');
-
-// Firebase Admin SDK is NOT initialized on the bridge
-// All notifications are sent via the secure Cloudflare Worker proxy
-// This keeps FCM credentials secure and separate from the bridge
-const fcmAvailable = false; // FCM not initialized on bridge, using proxy instead
-console.log('[Bridge] Notification proxy mode: FCM credentials secured in Cloudflare Worker');
-console.log('[Bridge] Bridge does NOT have direct access to FCM credentials (secure by design)');
+let NOTIFICATION_PROXY_TOKEN = config.proxy.token; // Will be auto-generated on first run
 
-// Store push tokens and configuration with persistent storage
+// Store devices and configuration with persistent storage (see src/storage.js)
 
-const DATA_DIR = path.join(__dirname, '../data');
-const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
-const DEVICES_FILE = path.join(DATA_DIR, 'devices.json');
-const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
+// Secrets stay in their own files in every backend (manage-devices.js reads the admin key file)
 const API_KEY_FILE = path.join(DATA_DIR, 'api_key.json');
+const MEDIA_SECRET_FILE = path.join(DATA_DIR, 'media_secret.json');
+const ADMIN_KEY_FILE = path.join(DATA_DIR, 'admin_key.json');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+try {
+  storage.open({ dir: DATA_DIR, backend: config.storage.backend });
+} catch (err) {
+  console.error('[Storage]', err.message);
+  process.exit(1);
 }
 
-// Load tokens from file
-let pushTokens = new Set();
-try {
-  if (fs.existsSync(TOKENS_FILE)) {
-    const data = fs.readFileSync(TOKENS_FILE, 'utf8');
-    const tokens = JSON.parse(data);
-    pushTokens = new Set(tokens);
-    console.log(`[Bridge] Loaded ${pushTokens.size} token(s) from persistent storage`);
+// FCM delivery mode (picked once at startup)
+//   'proxy'  - send through the notification proxy; FCM credentials stay in the Cloudflare Worker
+//   'direct' - send with the Firebase Admin SDK from a local service account (no proxy, no daily limit)
+// FCM_MODE=auto (default) uses 'direct' when the service account file exists
+const FCM_SERVICE_ACCOUNT_FILE = config.fcm.serviceAccount || path.join(DATA_DIR, 'firebase-service-account.json');
+
+function initializeFcmMode() {
+  if (config.fcm.mode === 'proxy') {
+    return { mode: 'proxy' };
+  }
+
+  if (!fs.existsSync(FCM_SERVICE_ACCOUNT_FILE)) {
+    if (config.fcm.mode === 'direct') {
+      console.error(`[FCM] FCM_MODE=direct but no service account found at ${FCM_SERVICE_ACCOUNT_FILE} - falling back to proxy`);
+      return { mode: 'proxy', error: 'Service account file not found' };
+    }
+    return { mode: 'proxy' };
+  }
+
+  try {
+    const serviceAccount = JSON.parse(fs.readFileSync(FCM_SERVICE_ACCOUNT_FILE, 'utf8'));
+    admin.initializeApp({ credential: admin.credential.cert(serviceAccount) });
+    return { mode: 'direct', projectId: serviceAccount.project_id };
+  } catch (err) {
+    console.error('[FCM] Failed to initialize Firebase Admin SDK:', err.message);
+    console.error('[FCM] Falling back to notification proxy');
+    return { mode: 'proxy', error: err.message };
   }
-} catch (err) {
-  console.error('[Bridge] Error loading tokens:', err.message);
 }
 
-// Load devices from file (map of token -> device metadata)
-let devices = new Map();
-try {
-  if (fs.existsSync(DEVICES_FILE)) {
-    const data = fs.readFileSync(DEVICES_FILE, 'utf8');
-    const devicesArray = JSON.parse(data);
-    devices = new Map(devicesArray);
-    console.log(`[Bridge] Loaded ${devices.size} device(s) from persistent storage`);
+const fcm = initializeFcmMode();
+const fcmAvailable = fcm.mode === 'direct';
+
+if (fcmAvailable) {
+  console.log(`[Bridge] Direct FCM mode: sending with local service account (project: ${fcm.projectId})`);
+  console.log(`[Bridge] Service account: ${FCM_SERVICE_ACCOUNT_FILE}`);
+} else {
+  console.log('[Proxy] Notification proxy:', NOTIFICATION_PROXY_BASE_URL);
+  console.log('[Proxy] FCM credentials secured in Cloudflare Worker (not in bridge)');
+  console.log('[Bridge] Notification proxy mode: FCM credentials secured in Cloudflare Worker');
+  console.log('[Bridge] Bridge does NOT have direct access to FCM credentials (secure by design)');
+}
+
+// Templates saved before the template engine: the old default body gets the new default (no "Motion in Unknown"),
+// and a custom {zones} keeps showing "Unknown" when there are no zones, as it used to
+function migrateTemplates(deviceTemplates) {
+  if (!deviceTemplates) {
+    return deviceTemplates;
   }
-} catch (err) {
-  console.error('[Bridge] Error loading devices:', err.message);
-}
-
-// Load configuration from file
-let bridgeConfig = {
-  frigateJwtToken: null,
-  externalFrigateUrl: process.env.EXTERNAL_FRIGATE_URL || config.frigate.url,
-  notifications: {
-    cooldown: parseInt(process.env.NOTIFICATION_COOLDOWN || '30'),
-    filterLabels: process.env.FILTER_LABELS?.split(',').filter(Boolean) || [],
-    filterCameras: process.env.FILTER_CAMERAS?.split(',').filter(Boolean) || [],
-    severityFilter: process.env.SEVERITY_FILTER || 'alert',
+  const migrate = template => template === 'Motion in {zones} at {time}'
+    ? notificationTemplates.DEFAULT_TEMPLATES.body
+    : template.replace(/\{zones\}/g, '{zones|default:Unknown}');
+  return { title: migrate(deviceTemplates.title), body: migrate(deviceTemplates.body) };
+}
+
+// Load devices (map of token -> device metadata); its keys are the registered push tokens
+const devicesStore = storage.collection('devices', {
+  version: 2,
+  migrations: {
+    0: entries => entries.map(([token, device]) => ({ ...device, token })), // v0: [token, device] pairs
+    1: list => list.map(device => ({ ...device, templates: migrateTemplates(device.templates) })), // v1: {zones} showed "Unknown"
   },
-};
+});
+const devices = new Map((devicesStore.load() || []).map(device => [device.token, device]));
 
-try {
-  if (fs.existsSync(CONFIG_FILE)) {
-    const data = fs.readFileSync(CONFIG_FILE, 'utf8');
-    const savedConfig = JSON.parse(data);
-    bridgeConfig = { ...bridgeConfig, ...savedConfig };
-    console.log(`[Bridge] Loaded configuration from persistent storage`);
-    if (bridgeConfig.frigateJwtToken) {
-      console.log(`[Bridge] Frigate JWT token configured: ${bridgeConfig.frigateJwtToken.substring(0, 20)}...`);
+// tokens.json (before schema v1) listed the same tokens again; keep any that never got device metadata
+const legacyTokens = storage.retireFile('tokens.json') || [];
+for (const token of legacyTokens.filter(token => !devices.has(token))) {
+  devices.set(token, {
+    token,
+    tokenType: token.startsWith('ExponentPushToken[') ? 'expo' : 'fcm',
+    name: 'Unknown Device',
+    model: 'Unknown Model',
+    platform: 'Unknown',
+    registeredAt: null,
+  });
+}
+if (legacyTokens.length > 0) {
+  saveDevices();
+}
+console.log(`[Bridge] Loaded ${devices.size} device(s) from persistent storage`);
+
+// Load runtime configuration - what the app and API change (saved values over these defaults).
+// Only API changes are stored; settings from env / the config file stay in `config`.
+const configStore = storage.collection('config', {
+  version: 2,
+  migrations: {
+    0: savedConfig => savedConfig, // v0: the bare config object
+    // v1 also stored the env defaults, which then hid later env changes - keep only the values that differ
+    1: savedConfig => {
+      const { severityFilter, ...notifications } = savedConfig.notifications || {};
+      for (const key of Object.keys(notifications)) {
+        if (key in config.notifications && JSON.stringify(notifications[key]) === JSON.stringify(config.notifications[key])) {
+          delete notifications[key];
+        }
+      }
+      const kept = Object.keys(notifications).filter(key => key !== 'zoneFilters');
+      if (kept.length > 0) {
+        console.log(`[Config] Keeping notification settings changed through the API: ${kept.join(', ')}`);
+      }
+      const externalFrigateUrl = savedConfig.externalFrigateUrl === (config.frigate.externalUrl || config.frigate.url)
+        ? null
+        : savedConfig.externalFrigateUrl;
+      return { ...savedConfig, externalFrigateUrl, notifications };
+    },
+  },
+  defaults: {
+    frigateJwtToken: null,
+    externalFrigateUrl: null, // Set by the app; EXTERNAL_FRIGATE_URL / FRIGATE_URL when null
+    notifications: {
+      // API changes to cooldown, cameraCooldown and the label, camera and sub label filters (see getNotificationSettings)
+      zoneFilters: {}, // camera → { required: [], excluded: [] }
+    },
+    timezone: null, // IANA timezone for schedules and {time} (null = TZ env / system default)
+    schedules: [], // Global quiet hours / notification schedules
+    instances: {}, // Additional Frigate instances: name → { topicPrefix, internalUrl, externalUrl, jwtToken }
+  },
+});
+let bridgeConfig = configStore.load();
+if (bridgeConfig.frigateJwtToken) {
+  console.log(`[Bridge] Frigate JWT token configured: ${bridgeConfig.frigateJwtToken.substring(0, 20)}...`);
+}
+
+// Notification settings in effect: API changes (PUT /config/notifications) over config.notifications
+function getNotificationSettings() {
+  return { ...config.notifications, ...bridgeConfig.notifications };
+}
+
+// Save functions (debounced - see src/storage.js)
+function saveDevices() {
+  devicesStore.save(Array.from(devices.values()));
+}
+
+function saveConfig() {
+  configStore.save(bridgeConfig);
+}
+
+// === FRIGATE INSTANCES ===
+//
+// One bridge can serve several Frigate servers sharing a broker. The primary instance is configured
+// by MQTT_TOPIC, FRIGATE_URL, EXTERNAL_FRIGATE_URL and the token posted by the app; additional instances
+// live in bridgeConfig.instances. Filters and schedules match a camera by name on any instance
+// ("driveway") or on one instance ("barn/driveway").
+
+const PRIMARY_INSTANCE = config.frigate.instanceName;
+const INSTANCE_NAME_PATTERN = /^[a-z0-9][-_a-z0-9]{0,31}$/;
+
+// Every instance subscribes to the same kind of topic: frigate/reviews → <topicPrefix>/reviews
+const topicSlash = config.mqtt.topic.lastIndexOf('/');
+const TOPIC_SUFFIX = config.mqtt.topic.substring(topicSlash + 1);
+
+// All instances, primary first
+function getFrigateInstances() {
+  const primary = {
+    name: PRIMARY_INSTANCE,
+    primary: true,
+    topicPrefix: config.mqtt.topic.substring(0, Math.max(topicSlash, 0)),
+    topic: config.mqtt.topic,
+    internalUrl: config.frigate.url,
+    externalUrl: bridgeConfig.externalFrigateUrl || config.frigate.externalUrl || config.frigate.url,
+    jwtToken: bridgeConfig.frigateJwtToken,
+  };
+  const others = Object.entries(bridgeConfig.instances || {}).map(([name, instance]) => ({
+    name,
+    primary: false,
+    ...instance,
+    topic: `${instance.topicPrefix}/${TOPIC_SUFFIX}`,
+  }));
+  return [primary, ...others];
+}
+
+function getFrigateInstance(name) {
+  return getFrigateInstances().find(instance => instance.name === name) || null;
+}
+
+// Messages on an unknown topic are treated as coming from the primary instance
+function getInstanceForTopic(topic) {
+  const instances = getFrigateInstances();
+  return instances.find(instance => instance.topic === topic) || instances[0];
+}
+
+function redactInstance(instance) {
+  return {
+    ...instance,
+    jwtToken: instance.jwtToken ? '***configured***' : null,
+    ...(instance.password && { password: '***configured***' }),
+  };
+}
+
+// Camera ID used by filters, schedules and cooldowns ("driveway" on the primary, "barn/driveway" elsewhere)
+function qualifyCamera(camera, instanceName = PRIMARY_INSTANCE) {
+  return instanceName === PRIMARY_INSTANCE ? camera : `${instanceName}/${camera}`;
+}
+
+// Split a camera ID into [instance, camera]
+function splitCameraId(cameraId) {
+  const slash = cameraId.indexOf('/');
+  return slash === -1 ? [PRIMARY_INSTANCE, cameraId] : [cameraId.substring(0, slash), cameraId.substring(slash + 1)];
+}
+
+// Camera lists accept "camera" (any instance) or "instance/camera"
+function matchesCamera(list, cameraId) {
+  const [instance, camera] = splitCameraId(cameraId);
+  return list.includes(camera) || list.includes(`${instance}/${camera}`);
+}
+
+/**
+ * Validate an additional Frigate instance from the API
+ * Returns { instance } or { error }
+ */
+function normalizeInstance(name, input, existing = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Instance must be an object' };
+  }
+
+  const instance = {
+    topicPrefix: input.topicPrefix ?? existing.topicPrefix,
+    internalUrl: input.internalUrl ?? existing.internalUrl,
+    externalUrl: input.externalUrl ?? existing.externalUrl ?? input.internalUrl ?? existing.internalUrl,
+    jwtToken: input.jwtToken !== undefined ? input.jwtToken : (existing.jwtToken || null),
+    username: input.username !== undefined ? input.username : (existing.username || null), // Optional: lets the bridge refresh the token
+    password: input.password !== undefined ? input.password : (existing.password || null),
+  };
+
+  const prefix = instance.topicPrefix;
+  if (typeof prefix !== 'string' || prefix === '' || /[#+\s]/.test(prefix) || prefix.endsWith('/')) {
+    return { error: 'topicPrefix must be an MQTT topic prefix without wildcards or trailing slash (e.g. "frigate-barn")' };
+  }
+  for (const key of ['internalUrl', 'externalUrl']) {
+    if (typeof instance[key] !== 'string' || !/^https?:\/\/[^\s]+$/i.test(instance[key])) {
+      return { error: `${key} must be an http(s) URL` };
     }
+    instance[key] = instance[key].replace(/\/+$/, '');
   }
-} catch (err) {
-  console.error('[Bridge] Error loading config:', err.message);
+  if (instance.jwtToken !== null && (typeof instance.jwtToken !== 'string' || instance.jwtToken.length < 20)) {
+    return { error: 'Invalid JWT token format' };
+  }
+  if ((instance.username !== null && typeof instance.username !== 'string') ||
+      (instance.password !== null && typeof instance.password !== 'string') ||
+      !instance.username !== !instance.password) {
+    return { error: 'username and password must be set together' };
+  }
+
+  const topic = `${instance.topicPrefix}/${TOPIC_SUFFIX}`;
+  const clash = getFrigateInstances().find(other => other.name !== name && other.topic === topic);
+  if (clash) {
+    return { error: `Topic ${topic} is already used by instance "${clash.name}"` };
+  }
+
+  return { instance };
 }
 
-// Save functions
-function saveTokens() {
+// === FRIGATE TOKEN EXPIRY & REFRESH ===
+//
+// The Frigate JWT is embedded in every thumbnail URL, so an expired token silently breaks images.
+// The bridge decodes each instance's token expiry, warns ahead of time and - when Frigate credentials
+// are configured (FRIGATE_USERNAME / FRIGATE_PASSWORD, or username / password on an instance) -
+// logs in to Frigate itself to get a fresh token before the old one expires.
+
+const TOKEN_CHECK_INTERVAL = 15 * 60 * 1000; // ms
+
+// instance name → { lastRefreshAt, lastRefreshError, warnedToken }
+const tokenState = new Map();
+
+// Read the exp claim of a JWT (no signature check - only Frigate can verify it)
+function decodeJwtExpiry(token) {
   try {
-    fs.writeFileSync(TOKENS_FILE, JSON.stringify(Array.from(pushTokens), null, 2));
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
   } catch (err) {
-    console.error('[Bridge] Error saving tokens:', err.message);
+    return null;
   }
 }
 
-function saveDevices() {
+// Expiry details for an instance's token
+function getTokenExpiry(instance, now = Date.now()) {
+  if (!instance.jwtToken) {
+    return { configured: false };
+  }
+
+  const expiresAt = decodeJwtExpiry(instance.jwtToken);
+  if (!expiresAt) {
+    return { configured: true, expiresAt: null }; // Not a JWT with an exp claim
+  }
+
+  const expiresInSeconds = Math.floor((expiresAt - now) / 1000);
+  return {
+    configured: true,
+    expiresAt: new Date(expiresAt).toISOString(),
+    expiresInSeconds,
+    expired: expiresInSeconds <= 0,
+    expiringSoon: expiresInSeconds > 0 && expiresInSeconds < config.frigate.tokenWarningHours * 3600,
+  };
+}
+
+function getFrigateCredentials(instance) {
+  const username = instance.primary ? config.frigate.username : instance.username;
+  const password = instance.primary ? config.frigate.password : instance.password;
+  return username && password ? { username, password } : null;
+}
+
+function setInstanceToken(name, token) {
+  if (name === PRIMARY_INSTANCE) {
+    bridgeConfig.frigateJwtToken = token;
+  } else {
+    bridgeConfig.instances[name].jwtToken = token;
+  }
+  saveConfig();
+}
+
+/**
+ * Check a token against the instance's internal Frigate URL
+ * Returns { status: 'valid' | 'invalid' | 'unreachable' | 'not_configured', httpStatus, error, checkedAt }
+ */
+async function probeFrigateToken(instance) {
+  const checkedAt = new Date().toISOString();
+  if (!instance.jwtToken) {
+    return { status: 'not_configured', checkedAt };
+  }
+
   try {
-    fs.writeFileSync(DEVICES_FILE, JSON.stringify(Array.from(devices.entries()), null, 2));
+    const response = await axios.get(`${instance.internalUrl}/api/profile`, {
+      headers: { Authorization: `Bearer ${instance.jwtToken}` },
+      timeout: 5000,
+      validateStatus: () => true,
+    });
+    const valid = response.status >= 200 && response.status < 300;
+    return {
+      status: valid ? 'valid' : (response.status === 401 || response.status === 403 ? 'invalid' : 'unreachable'),
+      httpStatus: response.status,
+      checkedAt,
+    };
   } catch (err) {
-    console.error('[Bridge] Error saving devices:', err.message);
+    return { status: 'unreachable', error: err.message, checkedAt };
   }
 }
 
-function saveConfig() {
+// Log in to Frigate with the stored credentials and store the new token
+async function refreshFrigateToken(instance, reason) {
+  const credentials = getFrigateCredentials(instance);
+  const state = tokenState.get(instance.name) || {};
+  tokenState.set(instance.name, state);
+
+  console.log(`[Token] Refreshing Frigate token for ${instance.name} (${reason})`);
   try {
-    fs.writeFileSync(CONFIG_FILE, JSON.stringify(bridgeConfig, null, 2));
+    const response = await axios.post(`${instance.internalUrl}/api/login`, {
+      user: credentials.username,
+      password: credentials.password,
+    }, {
+      timeout: 10000,
+      maxRedirects: 0,
+    });
+
+    // Frigate returns the JWT as the frigate_token cookie
+    const cookie = (response.headers['set-cookie'] || []).find(value => value.startsWith('frigate_token='));
+    const token = cookie?.split(';')[0].substring('frigate_token='.length);
+    if (!token) {
+      throw new Error('Login response did not include a frigate_token cookie');
+    }
+
+    setInstanceToken(instance.name, token);
+    state.lastRefreshAt = new Date().toISOString();
+    state.lastRefreshError = null;
+
+    const expiry = getTokenExpiry({ jwtToken: token });
+    console.log(`[Token] Frigate token for ${instance.name} refreshed${expiry.expiresAt ? `, expires ${expiry.expiresAt}` : ''}`);
+    return true;
   } catch (err) {
-    console.error('[Bridge] Error saving config:', err.message);
+    state.lastRefreshError = err.response ? `HTTP ${err.response.status}` : err.message;
+    console.error(`[Token] Failed to refresh Frigate token for ${instance.name}: ${state.lastRefreshError}`);
+    return false;
   }
 }
 
-// Cooldown tracking to prevent notification spam
-const notificationCooldowns = new Map();
+// Periodic check: refresh tokens that are about to expire, warn about the rest
+async function checkFrigateTokens() {
+  for (const instance of getFrigateInstances()) {
+    const expiry = getTokenExpiry(instance);
+    const credentials = getFrigateCredentials(instance);
+    const refreshDue = !expiry.configured || expiry.expired ||
+      (expiry.expiresInSeconds !== undefined && expiry.expiresInSeconds < config.frigate.tokenRefreshMinutes * 60);
 
-// Track review notifications for progressive enhancement
-// reviewId → { severity, thumbPath, timestamp, notificationSent }
-const sentNotifications = new Map();
+    if (credentials && refreshDue) {
+      await refreshFrigateToken(instance, expiry.configured ? `expires ${expiry.expiresAt}` : 'no token');
+      continue;
+    }
 
-// Statistics
-const stats = {
-  mqttConnected: false,
-  eventsReceived: 0,
-  notificationsSent: 0,
-  notificationsFailed: 0,
-  lastEventTime: null,
-  uptime: Date.now(),
-};
+    // Warn once per token (thumbnails break when it expires)
+    const state = tokenState.get(instance.name) || {};
+    tokenState.set(instance.name, state);
+    if ((expiry.expired || expiry.expiringSoon) && state.warnedToken !== instance.jwtToken) {
+      state.warnedToken = instance.jwtToken;
+      if (expiry.expired) {
+        console.warn(`[Token] ⚠️  Frigate token for ${instance.name} EXPIRED at ${expiry.expiresAt} - notification images will not load until the app sends a new token`);
+      } else {
+        console.warn(`[Token] ⚠️  Frigate token for ${instance.name} expires at ${expiry.expiresAt} (in ${Math.round(expiry.expiresInSeconds / 3600)}h)`);
+      }
+    }
+  }
+}
 
-// Express server for token registration and health checks
-const app = express();
-app.use(express.json());
+setTimeout(checkFrigateTokens, 0);
+setInterval(checkFrigateTokens, TOKEN_CHECK_INTERVAL);
 
-// Simple API key authentication middleware (if AUTH_TOKEN is set)
-const authMiddleware = (req, res, next) => {
-  const authToken = process.env.AUTH_TOKEN;
-  
-  // Skip auth if no token configured
-  if (!authToken) {
-    return next();
+// === SIGNED MEDIA URLS ===
+//
+// With BRIDGE_PUBLIC_URL set, notifications carry short-lived HMAC-signed links to the bridge
+// (GET /media/review/:id, GET /media/event/:id) instead of Frigate URLs.
+// The bridge fetches the image from the instance's internal URL with the stored token, so the
+// Frigate JWT never leaves the bridge. Without it, links point at Frigate's external URL with
+// ?token=<JWT> (and the payload `jwtToken`) as before, unless MEDIA_TOKEN_IN_URLS=false.
+
+const MEDIA_PUBLIC_URL = config.bridge.publicUrl;
+
+// Signing secret: MEDIA_SIGNING_SECRET, or a random secret generated once and kept in the data dir
+function loadMediaSecret() {
+  if (config.media.signingSecret) {
+    return config.media.signingSecret;
   }
-  
-  const providedToken = req.headers['authorization']?.replace('Bearer ', '');
-  
-  if (!providedToken || providedToken !== authToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  try {
+    if (fs.existsSync(MEDIA_SECRET_FILE)) {
+      return JSON.parse(fs.readFileSync(MEDIA_SECRET_FILE, 'utf8')).secret;
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    storage.writeJsonFile(MEDIA_SECRET_FILE, { secret, createdAt: new Date().toISOString() });
+    return secret;
+  } catch (err) {
+    console.error('[Media] Error loading signing secret, signed links will not survive a restart:', err.message);
+    return crypto.randomBytes(32).toString('hex');
   }
-  
-  next();
-};
+}
 
-// Apply auth to registration endpoints only (health check stays public)
-app.use('/register', authMiddleware);
-app.use('/unregister', authMiddleware);
-app.use('/tokens', authMiddleware);
+const mediaSecret = loadMediaSecret();
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    mqtt: stats.mqttConnected ? 'connected' : 'disconnected',
-    uptime: Math.floor((Date.now() - stats.uptime) / 1000),
-    stats: {
-      eventsReceived: stats.eventsReceived,
-      notificationsSent: stats.notificationsSent,
-      notificationsFailed: stats.notificationsFailed,
-      lastEventTime: stats.lastEventTime,
-    },
-    registeredTokens: pushTokens.size,
-  });
-});
+if (MEDIA_PUBLIC_URL) {
+  console.log(`[Media] Notification images served by the bridge: ${MEDIA_PUBLIC_URL}/media (links valid ${config.media.urlTtl}s)`);
+} else if (config.media.tokenInUrls !== false) {
+  console.warn('[Media] ⚠️  BRIDGE_PUBLIC_URL not set - notification links carry the Frigate JWT through the push proxy and Expo.');
+  console.warn('[Media]    Set BRIDGE_PUBLIC_URL to send signed bridge links instead, or MEDIA_TOKEN_IN_URLS=false to leave the JWT out.');
+} else {
+  console.warn('[Media] ⚠️  BRIDGE_PUBLIC_URL not set - notification images and footage links point at Frigate without the token,');
+  console.warn('[Media]    so they only load if Frigate allows unauthenticated access. Set BRIDGE_PUBLIC_URL for signed links.');
+}
 
-// Register push token endpoint (with optional device metadata)
-app.post('/register', (req, res) => {
-  const { pushToken, deviceName, deviceModel, platform, notificationType, imageMode } = req.body;
-  
-  // Validate token format
-  if (!pushToken || typeof pushToken !== 'string' || pushToken.length < 10) {
-    return res.status(400).json({ error: 'Invalid push token format' });
-  }
-  
-  // Detect token type
-  const isExpoToken = pushToken.startsWith('ExponentPushToken[');
-  const isFCMToken = !isExpoToken && pushToken.length > 50; // FCM tokens are typically 150+ chars
-  
-  if (!isExpoToken && !isFCMToken) {
-    return res.status(400).json({ error: 'Unknown push token format' });
+// Whether Frigate URLs in notifications carry the JWT: only without BRIDGE_PUBLIC_URL, and
+// MEDIA_TOKEN_IN_URLS=false opts out (unset keeps the behaviour from before signed links)
+const isTokenInUrls = () => !MEDIA_PUBLIC_URL && config.media.tokenInUrls !== false;
+
+// Frigate URL as sent in notifications without BRIDGE_PUBLIC_URL
+function withFrigateToken(instance, url) {
+  if (!isTokenInUrls() || !instance.jwtToken) {
+    return url;
   }
-  
-  const tokenType = isExpoToken ? 'expo' : 'fcm';
-  
-  // Store device metadata (preserve existing templates if re-registering)
-  const existingDevice = devices.get(pushToken);
-  const deviceInfo = {
-    token: pushToken,
-    tokenType, // Store token type for logging
-    name: deviceName || 'Unknown Device',
-    model: deviceModel || 'Unknown Model',
-    platform: platform || 'Unknown',
-    registeredAt: existingDevice?.registeredAt || new Date().toISOString(),
-    lastSeen: new Date().toISOString(),
-    templates: existingDevice?.templates || {
-      title: '{label} detected on {camera}',
-      body: 'Motion in {zones} at {time}',
-    },
-    imageMode: imageMode || existingDevice?.imageMode || 'static', // 'static' or 'animated'
-  };
-  
-  pushTokens.add(pushToken);
-  devices.set(pushToken, deviceInfo);
-  
-  saveTokens();
-  saveDevices();
-  
-  console.log(`[Bridge] Registered device: ${deviceInfo.name} (${deviceInfo.model}) - Token type: ${tokenType}`);
-  console.log(`[Bridge] Total registered devices: ${pushTokens.size}`);
-  
-  res.json({ 
-    success: true, 
-    message: 'Device registered successfully',
-    totalDevices: pushTokens.size,
-    device: deviceInfo,
+  return `${url}${url.includes('?') ? '&' : '?'}token=${instance.jwtToken}`;
+}
+
+// JWT for the app's deep links in the push payload (same rule; the app has its own token otherwise)
+const getPayloadJwt = instance => (isTokenInUrls() && instance?.jwtToken) || null;
+
+function signMedia(kind, instanceName, id, mediaPath, expires) {
+  return crypto.createHmac('sha256', mediaSecret)
+    .update(`${kind}\n${instanceName}\n${id}\n${mediaPath}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Build a signed bridge URL for a review thumbnail ('review', path = Frigate clips path)
+ * or an event thumbnail ('event', path = '')
+ */
+function buildSignedMediaUrl(kind, instance, id, mediaPath = '') {
+  const expires = Math.floor(Date.now() / 1000) + config.media.urlTtl;
+  const params = new URLSearchParams({
+    ...(!instance.primary && { instance: instance.name }),
+    ...(mediaPath && { path: mediaPath }),
+    expires: expires.toString(),
+    sig: signMedia(kind, instance.name, id, mediaPath, expires),
   });
-});
+  return `${MEDIA_PUBLIC_URL}/media/${kind}/${encodeURIComponent(id)}?${params}`;
+}
 
-// Unregister push token endpoint
-app.post('/unregister', (req, res) => {
-  const { pushToken } = req.body;
-  
-  if (pushTokens.has(pushToken)) {
-    pushTokens.delete(pushToken);
-    devices.delete(pushToken);
-    saveTokens();
-    saveDevices();
-    console.log(`[Bridge] Unregistered device: ${pushToken.substring(0, 30)}...`);
-    res.json({ success: true, message: 'Device unregistered successfully' });
-  } else {
-    res.status(404).json({ error: 'Device not found' });
+// === FOOTAGE LINKS ===
+//
+// Review previews, clips and the recording timeline for a notification. With BRIDGE_PUBLIC_URL the
+// video links are signed bridge links (/media/footage) streamed from Frigate; otherwise they point at
+// Frigate like the images (see withFrigateToken). The timeline is a Frigate UI page.
+
+// The only Frigate paths /media/footage will fetch
+const FOOTAGE_PATH = /^\/api\/(?:review\/[\w.-]+\/preview\?format=(?:gif|mp4)|events\/[\w.-]+\/(?:clip\.mp4|preview\.gif)|[\w-]+\/start\/\d+\/end\/\d+\/clip\.mp4)$/;
+const FRIGATE_ID = /^[\w.-]+$/;
+
+const isUnixTime = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+function buildFootageUrl(instance, id, frigatePath) {
+  if (MEDIA_PUBLIC_URL) {
+    return buildSignedMediaUrl('footage', instance, id, frigatePath);
   }
-});
+  if (!instance.externalUrl) {
+    return null;
+  }
+  return withFrigateToken(instance, `${instance.externalUrl}${frigatePath}`);
+}
 
-// List registered tokens (for debugging)
-app.get('/tokens', (req, res) => {
-  res.json({
-    count: pushTokens.size,
-    tokens: Array.from(pushTokens).map(t => `${t.substring(0, 30)}...`),
-  });
-});
+/**
+ * Footage links for a review or event; a link is null when the data it needs is missing or unusable
+ *   previewGif / previewMp4 - review preview (events: the event's preview GIF)
+ *   clip      - the camera's recordings from start to end (only once the review or event has ended)
+ *   eventClip - clip of the (first) tracked object, unless Frigate says it has none
+ *   recording - the review in Frigate's timeline (reviews only)
+ */
+function buildFootageLinks(instance, { reviewId = null, eventId = null, camera, startTime, endTime = null, hasClip = true }) {
+  const links = { previewGif: null, previewMp4: null, clip: null, eventClip: null, recording: null };
+  const validReview = typeof reviewId === 'string' && FRIGATE_ID.test(reviewId);
+  const validEvent = typeof eventId === 'string' && FRIGATE_ID.test(eventId) && hasClip !== false;
 
-// Send test notification
-app.post('/test-notification', async (req, res) => {
-  const { pushToken } = req.body;
-  
-  if (!pushToken) {
-    return res.status(400).json({ error: 'Push token required' });
+  if (validReview) {
+    links.previewGif = buildFootageUrl(instance, reviewId, `/api/review/${reviewId}/preview?format=gif`);
+    links.previewMp4 = buildFootageUrl(instance, reviewId, `/api/review/${reviewId}/preview?format=mp4`);
+    links.recording = instance.externalUrl ? `${instance.externalUrl}/review?id=${reviewId}` : null;
   }
-  
-  const device = devices.get(pushToken);
-  if (!device) {
-    return res.status(404).json({ error: 'Device not registered' });
+  if (validEvent) {
+    links.eventClip = buildFootageUrl(instance, eventId, `/api/events/${eventId}/clip.mp4`);
+    if (!validReview) {
+      links.previewGif = buildFootageUrl(instance, eventId, `/api/events/${eventId}/preview.gif`);
+    }
   }
-  
-  try {
-    console.log(`[Bridge] Sending test notification to: ${device.name}`);
-    
-    // Check if it's an FCM token
-    const isFCMToken = device.tokenType === 'fcm' || (!pushToken.startsWith('ExponentPushToken['));
-    
-    if (isFCMToken) {
-      // Send via Notification Proxy (Cloudflare Worker with FCM credentials)
-      console.log('[Bridge] Using notification proxy for FCM token');
-      
-      const proxyPayload = {
-        token: pushToken,
-        title: 'Test Notification',
-        body: 'This is a test notification from Aviant Bridge',
-        data: {
-          notificationType: 'test',
-          timestamp: Date.now().toString(),
-        },
-        priority: 'high',
-      };
-      
-      const response = await axios.post(NOTIFICATION_PROXY_URL, proxyPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${NOTIFICATION_PROXY_TOKEN}`,
-        },
-        timeout: 10000,
-      });
-      
-      console.log('[Bridge] Test notification sent via proxy:', response.data);
-      
-      return res.json({ 
-        success: true, 
-        message: 'Test notification sent via proxy',
-        result: response.data,
-      });
-    } else {
-      // Send via Expo Push (for legacy tokens)
-      console.log('[Bridge] Using Expo Push Service for legacy token');
-      
-      const expoPushMessage = {
-        to: pushToken,
-        sound: 'default',
-        title: 'Test Notification',
-        body: 'This is a test notification from Aviant Bridge',
-        data: { notificationType: 'test' },
-      };
-      
-      const expoPushResponse = await axios.post('https://exp.host/--/api/v2/push/send', expoPushMessage, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000,
-      });
-      
-      console.log('[Bridge] Test Expo notification sent:', expoPushResponse.data);
-      
-      return res.json({ 
-        success: true, 
-        message: 'Test notification sent via Expo',
-        result: expoPushResponse.data,
-      });
-    }
-  } catch (error) {
-    console.error('[Bridge] Failed to send test notification:', error.message);
-    if (error.response) {
-      console.error('[Bridge] Proxy response:', error.response.status, error.response.data);
-    }
-    return res.status(500).json({ 
-      error: 'Failed to send test notification',
-      details: error.message,
-    });
+  if (/^[\w-]+$/.test(camera || '') && isUnixTime(startTime) && isUnixTime(endTime) && endTime >= startTime) {
+    links.clip = buildFootageUrl(instance, reviewId || eventId || camera,
+      `/api/${camera}/start/${Math.floor(startTime)}/end/${Math.ceil(endTime)}/clip.mp4`);
   }
-});
+  return links;
+}
 
-// === DEVICE MANAGEMENT ENDPOINTS ===
+// Footage links a transport may carry. ntfy, Gotify and Pushover keep the messages they are sent, so
+// without BRIDGE_PUBLIC_URL they only get the timeline (a Frigate page, never with the token)
+function getTransportLinks(transportType, links) {
+  if (!selfHostedTransports[transportType] || MEDIA_PUBLIC_URL) {
+    return links;
+  }
+  return { previewGif: null, previewMp4: null, clip: null, eventClip: null, recording: links.recording };
+}
 
-// List all registered devices with metadata
-app.get('/devices', (req, res) => {
-  const devicesList = Array.from(devices.values()).map(device => ({
-    ...device,
-    token: `${device.token.substring(0, 30)}...`, // Redact full token
-  }));
-  
-  res.json({
-    count: devices.size,
-    devices: devicesList,
-  });
-});
+// Where tapping a notification goes: summaries open the recorded clip, alerts the timeline
+const getClickUrl = (links, isSummary = false) => (isSummary ? links.clip || links.recording : links.recording || links.eventClip);
 
-// Remove a specific device by token
-app.delete('/devices/:token', (req, res) => {
-  const { token } = req.params;
-  
-  // Find device by partial token match (since we redact in UI)
-  let fullToken = null;
-  for (const [key] of devices) {
-    if (key === token || key.startsWith(token.substring(0, 30))) {
-      fullToken = key;
-      break;
-    }
-  }
-  
-  if (fullToken && pushTokens.has(fullToken)) {
-    pushTokens.delete(fullToken);
-    devices.delete(fullToken);
-    saveTokens();
-    saveDevices();
-    console.log(`[Bridge] Removed device: ${fullToken.substring(0, 30)}...`);
-    res.json({ success: true, message: 'Device removed successfully' });
-  } else {
-    res.status(404).json({ error: 'Device not found' });
-  }
-});
+// Footage links as template variables ({clip_url}, ...)
+function footageTemplateData(links) {
+  return {
+    preview_url: links.previewGif || '',
+    clip_url: links.clip || '',
+    event_clip_url: links.eventClip || '',
+    recording_url: links.recording || '',
+  };
+}
 
-// Update device preferences (notification templates, etc.)
-app.put('/devices/:token/preferences', (req, res) => {
-  const { token } = req.params;
-  const { templates } = req.body;
-  
-  // Find device by full token match
-  const device = devices.get(token);
-  
-  if (!device) {
-    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
-  }
-  
-  // Validate templates if provided
-  if (templates) {
-    if (!templates.title || !templates.body) {
-      return res.status(400).json({ error: 'Templates must include both title and body' });
-    }
-    
-    if (typeof templates.title !== 'string' || typeof templates.body !== 'string') {
-      return res.status(400).json({ error: 'Template title and body must be strings' });
-    }
-    
-    // Update templates
-    device.templates = {
-      title: templates.title.trim(),
-      body: templates.body.trim(),
-    };
-    
-    devices.set(token, device);
-    saveDevices();
-    
-    console.log(`[Bridge] Updated templates for device: ${device.name}`);
-    console.log(`[Bridge]   Title: ${device.templates.title}`);
-    console.log(`[Bridge]   Body: ${device.templates.body}`);
+// Check a signed media request; returns an error message or null
+function verifyMediaSignature(kind, instanceName, id, mediaPath, expires, sig) {
+  if (!sig || !/^\d+$/.test(expires || '')) {
+    return 'Missing signature';
   }
-  
-  res.json({ 
-    success: true, 
-    message: 'Preferences updated successfully',
-    templates: device.templates,
-  });
-});
-
-// Update device image mode (static or animated)
-app.put('/devices/:token/image-mode', (req, res) => {
-  const { token } = req.params;
-  const { imageMode } = req.body;
-  
-  // Find device by full token match
-  const device = devices.get(token);
-  
-  if (!device) {
-    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  const expected = Buffer.from(signMedia(kind, instanceName, id, mediaPath, expires));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid signature';
   }
-  
-  // Validate imageMode
-  if (!imageMode || (imageMode !== 'static' && imageMode !== 'animated')) {
-    return res.status(400).json({ error: 'imageMode must be either "static" or "animated"' });
+  if (parseInt(expires) * 1000 < Date.now()) {
+    return 'Link expired';
   }
-  
-  // Update image mode
-  device.imageMode = imageMode;
-  devices.set(token, device);
-  saveDevices();
-  
-  console.log(`[Bridge] Updated image mode for device: ${device.name} → ${imageMode}`);
-  
-  res.json({ 
-    success: true, 
-    message: 'Image mode updated successfully',
-    device: {
-      name: device.name,
-      imageMode: device.imageMode,
-    },
-  });
-});
+  return null;
+}
 
-// === CONFIGURATION MANAGEMENT ENDPOINTS ===
+// Hide tokens when logging image URLs
+function redactUrl(url) {
+  return url.replace(/([?&](?:token|sig)=)[^&]+/g, '$1***');
+}
 
-// Get current bridge configuration
-app.get('/config', (req, res) => {
-  res.json({
-    frigateJwtToken: bridgeConfig.frigateJwtToken ? '***configured***' : null,
-    externalFrigateUrl: bridgeConfig.externalFrigateUrl,
-    notifications: bridgeConfig.notifications,
+// === SNAPSHOT ATTACHMENTS ===
+//
+// Devices that can't reach Frigate (away from home, Expo's image fetcher without auth) can ask the
+// bridge to fetch the picture itself. Per device `imageDelivery`:
+//   'link'   - thumbnail URL the phone fetches (default, see above)
+//   'inline' - image bytes in the push payload, shrunk to the transport's limit
+//   'hosted' - a signed bridge URL serving a cached, downscaled copy (needs BRIDGE_PUBLIC_URL)
+// With the optional sharp package, the bridge downscales and recompresses the review thumbnail (or the
+// event snapshot) to JPEG itself. Without it, only event snapshots can be shrunk - Frigate renders
+// snapshot.jpg?h=&quality= in decreasing sizes - and a review thumbnail is only used if it already fits.
+
+const IMAGE_DELIVERY_MODES = ['link', 'inline', 'hosted'];
+const SNAPSHOT_CACHE_MAX = 100;
+const SNAPSHOT_MIN_INLINE = 400; // bytes - no picture is recognizable below this
+
+// Largest inline image per transport (bytes before base64). FCM and Expo get what the rest of their
+// 4 KB payload leaves (see getPayloadImage), so this is only the upper bound for them.
+const SNAPSHOT_INLINE_LIMITS = {
+  fcm: 3 * 1024,
+  expo: 3 * 1024,
+  ntfy: 2 * 1024 * 1024,
+  pushover: 2.5 * 1024 * 1024,
+};
+
+// Transports whose inline image is sized to the payload (fetched by the transport, not sendToTransport)
+const PAYLOAD_SIZED_TRANSPORTS = ['fcm', 'expo'];
+
+// Optional image encoder (npm install sharp) - see above
+let sharp = null;
+try {
+  sharp = require('sharp');
+} catch (err) {
+  console.log('[Snapshot] sharp not installed - inline images are limited to event snapshots Frigate can downscale');
+}
+
+// Snapshot renditions to try, largest first
+const SNAPSHOT_RENDITIONS = [
+  { height: 720, quality: 80 },
+  { height: 480, quality: 70 },
+  { height: 360, quality: 60 },
+  { height: 240, quality: 50 },
+  { height: 160, quality: 40 },
+  { height: 120, quality: 30 },
+  { height: 90, quality: 25 },
+  { height: 72, quality: 20 },
+  { height: 54, quality: 20 },
+];
+
+// `${instance}|${thumbPath}|${eventId}|${maxBytes}` → { image: Promise<{ data, contentType } | null>, expiresAt }
+const snapshotCache = new Map();
+
+// Fetch an image from Frigate's internal URL with the stored token (throws axios errors)
+async function fetchFrigateImage(instance, frigatePath) {
+  const response = await axios.get(`${instance.internalUrl}${frigatePath}`, {
+    responseType: 'arraybuffer',
+    timeout: 10000,
+    headers: instance.jwtToken ? { Authorization: `Bearer ${instance.jwtToken}` } : {},
   });
-});
+  return {
+    data: Buffer.from(response.data),
+    contentType: response.headers['content-type'] || 'image/jpeg',
+  };
+}
 
-// Update Frigate JWT token (sent from mobile app)
-app.post('/config/frigate-token', (req, res) => {
-  const { token, externalUrl } = req.body;
-  
-  if (!token || typeof token !== 'string' || token.length < 20) {
-    return res.status(400).json({ error: 'Invalid JWT token format' });
+// The effective image delivery for a device ('inline' falls back when the transport can't carry bytes)
+function getImageDelivery(device, transportType) {
+  const mode = device?.imageDelivery || 'link';
+  // Self-hosted transports only get signed links (see getImageUrl), so without them ntfy and Pushover get the image itself
+  if (mode === 'link' && !MEDIA_PUBLIC_URL && selfHostedTransports[transportType] && SNAPSHOT_INLINE_LIMITS[transportType]) {
+    return 'inline';
   }
-  
-  bridgeConfig.frigateJwtToken = token;
-  
-  if (externalUrl) {
-    bridgeConfig.externalFrigateUrl = externalUrl;
+  if (mode === 'inline' && !SNAPSHOT_INLINE_LIMITS[transportType]) {
+    return MEDIA_PUBLIC_URL ? 'hosted' : 'link';
   }
-  
-  saveConfig();
-  
-  console.log(`[Bridge] Frigate JWT token updated: ${token.substring(0, 20)}...`);
-  if (externalUrl) {
-    console.log(`[Bridge] External Frigate URL updated: ${externalUrl}`);
+  if (mode === 'hosted' && !MEDIA_PUBLIC_URL) {
+    return 'link';
   }
-  
-  res.json({ 
-    success: true, 
-    message: 'Frigate configuration updated successfully',
-    configured: true,
-  });
-});
+  return mode;
+}
 
-// Get Frigate token status
-app.get('/config/frigate-token', (req, res) => {
-  res.json({
-    configured: !!bridgeConfig.frigateJwtToken,
-    externalFrigateUrl: bridgeConfig.externalFrigateUrl,
-  });
-});
+/**
+ * Image link to send a device: the signed snapshot link for 'hosted', otherwise the thumbnail link.
+ * ntfy (often the public ntfy.sh), Gotify and Pushover keep the messages they are sent, so they only
+ * get signed bridge links - never a Frigate URL that could carry the JWT.
+ */
+function getImageUrl(transportType, imageDelivery, snapshotSource, thumbnailUrl) {
+  if (imageDelivery === 'hosted') {
+    return buildSnapshotUrl(snapshotSource);
+  }
+  return selfHostedTransports[transportType] && !MEDIA_PUBLIC_URL ? null : thumbnailUrl;
+}
 
-// Update notification filters
-app.put('/config/notifications', (req, res) => {
-  const { cooldown, filterLabels, filterCameras } = req.body;
-  
-  if (cooldown !== undefined) {
-    bridgeConfig.notifications.cooldown = parseInt(cooldown);
+// Re-encode an image as JPEG in decreasing sizes until it fits (null if even the smallest doesn't)
+async function resizeImage(image, maxBytes) {
+  if (image.data.length <= maxBytes) {
+    return image;
   }
-  
-  if (filterLabels !== undefined) {
-    bridgeConfig.notifications.filterLabels = Array.isArray(filterLabels) 
-      ? filterLabels.filter(Boolean) 
-      : [];
+  for (const { height, quality } of SNAPSHOT_RENDITIONS) {
+    const data = await sharp(image.data)
+      .resize({ height, withoutEnlargement: true })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+    if (data.length <= maxBytes) {
+      return { data, contentType: 'image/jpeg' };
+    }
   }
-  
-  if (filterCameras !== undefined) {
-    bridgeConfig.notifications.filterCameras = Array.isArray(filterCameras) 
-      ? filterCameras.filter(Boolean) 
-      : [];
+  return null;
+}
+
+// prepareSnapshot with sharp: the first image Frigate has (review thumbnail, event snapshot, event thumbnail), re-encoded
+async function prepareResizedSnapshot(instance, source, maxBytes) {
+  const candidates = [];
+  if (source.thumbPath) {
+    candidates.push(source.thumbPath);
+  }
+  if (source.eventId) {
+    const eventPath = `/api/events/${encodeURIComponent(source.eventId)}`;
+    candidates.push(`${eventPath}/snapshot.jpg`, `${eventPath}/thumbnail.jpg`);
   }
-  
-  saveConfig();
-  
-  console.log(`[Bridge] Notification filters updated:`, bridgeConfig.notifications);
-  
-  res.json({ 
-    success: true, 
-    message: 'Notification filters updated successfully',
-    notifications: bridgeConfig.notifications,
-  });
-});
 
-// Get notification filters
-app.get('/config/notifications', (req, res) => {
-  res.json(bridgeConfig.notifications);
-});
+  for (const frigatePath of candidates) {
+    try {
+      const image = await resizeImage(await fetchFrigateImage(instance, frigatePath), maxBytes);
+      if (image) {
+        console.log(`[Snapshot] Prepared ${frigatePath} from ${instance.name} (${image.data.length} bytes, limit ${maxBytes})`);
+        return image;
+      }
+    } catch (err) {
+      console.log(`[Snapshot] Could not use ${frigatePath} from ${instance.name}: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`);
+    }
+  }
 
-// === AUTO-REGISTRATION WITH NOTIFICATION PROXY ===
+  console.log(`[Snapshot] No image under ${maxBytes} bytes for ${source.eventId || source.thumbPath || 'unknown'}`);
+  return null;
+}
 
 /**
- * Generate unique bridge identifier based on machine fingerprint
- * Uses MAC address + hostname for consistent ID across restarts
+ * Fetch the best image for a source that fits in maxBytes
+ * source = { instance, id, thumbPath (clips path), eventId } - with sharp, the first available image re-encoded
+ * to fit; otherwise the review thumbnail if it fits, then event snapshot renditions, then the event thumbnail.
+ * Returns { data, contentType } or null.
  */
-function generateBridgeId() {
-  const os = require('os');
-  const crypto = require('crypto');
-  const networkInterfaces = os.networkInterfaces();
-  let macAddress = '';
-  
-  // Get first non-internal MAC address
-  for (const iface of Object.values(networkInterfaces)) {
-    for (const addr of iface) {
-      if (!addr.internal && addr.mac && addr.mac !== '00:00:00:00:00:00') {
-        macAddress = addr.mac;
-        break;
-      }
-    }
-    if (macAddress) break;
+async function prepareSnapshot(source, maxBytes) {
+  const instance = getFrigateInstance(source.instance);
+  if (!instance?.internalUrl) {
+    return null;
   }
-  
-  // Fallback to random UUID if no MAC found
-  if (!macAddress) {
-    console.log('[Bridge] No MAC address found, using random UUID');
-    return crypto.randomUUID();
+  if (sharp) {
+    return prepareResizedSnapshot(instance, source, maxBytes);
   }
-  
-  // Hash MAC + hostname for privacy (don't expose raw MAC address)
-  const fingerprint = `${macAddress}-${os.hostname()}`;
-  const bridgeId = crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 32);
-  
-  return bridgeId;
-}
 
-/**
- * Auto-register bridge with notification proxy on first run
- * Returns API key for authenticated notification sending
- */
-async function ensureApiKey() {
-  const os = require('os');
-  
-  // If API key provided via environment variable, use it
-  if (process.env.NOTIFICATION_PROXY_TOKEN) {
-    console.log('[Proxy] Using API key from environment variable');
-    return process.env.NOTIFICATION_PROXY_TOKEN;
+  const candidates = [];
+  if (source.thumbPath) {
+    candidates.push(source.thumbPath);
   }
-  
-  // Check if we already have an API key
-  if (fs.existsSync(API_KEY_FILE)) {
+  if (source.eventId) {
+    const eventPath = `/api/events/${encodeURIComponent(source.eventId)}`;
+    SNAPSHOT_RENDITIONS.forEach(({ height, quality }) => candidates.push(`${eventPath}/snapshot.jpg?h=${height}&quality=${quality}`));
+    candidates.push(`${eventPath}/thumbnail.jpg`);
+  }
+
+  let snapshotsMissing = false;
+  for (const frigatePath of candidates) {
+    const isSnapshot = frigatePath.includes('/snapshot.jpg');
+    if (isSnapshot && snapshotsMissing) {
+      continue;
+    }
     try {
-      const data = JSON.parse(fs.readFileSync(API_KEY_FILE, 'utf8'));
-      console.log('[Proxy] Using existing API key');
-      console.log('[Proxy] Bridge ID:', data.bridgeId);
-      console.log('[Proxy] Registered:', new Date(data.registeredAt).toLocaleString());
-      if (data.userEmail) {
-        console.log('[Proxy] Linked to account:', data.userEmail);
-      } else {
-        console.log('[Proxy] Anonymous mode (100 notifications/day limit)');
-        console.log('[Proxy] To upgrade: Visit https://notify.aviant.app/link?key=' + data.apiKey.substring(0, 16) + '...');
+      const image = await fetchFrigateImage(instance, frigatePath);
+      if (image.data.length <= maxBytes) {
+        console.log(`[Snapshot] Prepared ${frigatePath} from ${instance.name} (${image.data.length} bytes, limit ${maxBytes})`);
+        return image;
       }
-      return data.apiKey;
-    } catch (error) {
-      console.error('[Proxy] Error reading API key file:', error.message);
-      console.log('[Proxy] Will re-register...');
+    } catch (err) {
+      // Snapshots disabled for this camera (or not saved yet) - skip the other renditions
+      if (isSnapshot) {
+        snapshotsMissing = true;
+      }
+      console.log(`[Snapshot] Could not fetch ${frigatePath} from ${instance.name}: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`);
     }
   }
-  
-  // First run - register with proxy
-  console.log('');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('  FIRST RUN DETECTED - Registering with notification proxy');
-  console.log('═══════════════════════════════════════════════════════════');
-  console.log('');
-  
-  const bridgeId = generateBridgeId();
-  
-  try {
-    console.log('[Proxy] Contacting notification proxy:', NOTIFICATION_PROXY_BASE_URL);
-    console.log('[Proxy] Bridge ID:', bridgeId);
-    
-    const response = await axios.post(
-      `${NOTIFICATION_PROXY_BASE_URL}/register-bridge`,
-      {
-        bridgeId: bridgeId,
-        hostname: os.hostname(),
-        platform: os.platform(),
-        arch: os.arch(),
-        version: version,
-      },
-      { 
-        timeout: 15000,
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    
-    const apiKey = response.data.apiKey;
-    const isExisting = response.data.message?.includes('existing');
-    
-    // Save API key locally
-    const keyData = {
-      apiKey: apiKey,
-      bridgeId: bridgeId,
-      registeredAt: new Date().toISOString(),
-      hostname: os.hostname(),
-      platform: os.platform(),
-    };
-    
-    fs.writeFileSync(API_KEY_FILE, JSON.stringify(keyData, null, 2));
-    
-    console.log('');
-    console.log('╔═══════════════════════════════════════════════════════════╗');
-    console.log('║         REGISTRATION SUCCESSFUL                        ║');
-    console.log('╚═══════════════════════════════════════════════════════════╝');
-    console.log('');
-    if (isExisting) {
-      console.log('  This bridge was already registered. Using existing API key.');
-    } else {
-      console.log('  Your bridge is now registered with the notification proxy!');
+
+  console.log(`[Snapshot] No image under ${maxBytes} bytes for ${source.eventId || source.thumbPath || 'unknown'}`);
+  return null;
+}
+
+// Cached prepareSnapshot - every device with the same limit shares one fetch
+function getSnapshot(source, maxBytes) {
+  const key = `${source.instance}|${source.thumbPath || ''}|${source.eventId || ''}|${maxBytes}`;
+  const cached = snapshotCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.image;
+  }
+
+  // Misses aren't cached - the thumbnail may exist by the next update
+  const image = prepareSnapshot(source, maxBytes).then(result => {
+    if (!result) {
+      snapshotCache.delete(key);
     }
-    console.log('');
-    console.log('  Your API Key:');
-    console.log('  ┌─────────────────────────────────────────────────────────┐');
-    console.log(`  │ ${apiKey} │`);
-    console.log('  └─────────────────────────────────────────────────────────┘');
-    console.log('');
-    console.log('  This key is saved in:', API_KEY_FILE);
-    console.log('  Anonymous mode: 100 notifications/day');
-    console.log('  To link to an account (optional):');
-    console.log(`  Visit: https://notify.aviant.app/link?key=${apiKey.substring(0, 16)}...`);
-    console.log('');
-    console.log('═══════════════════════════════════════════════════════════');
-    console.log('');
-    
-    return apiKey;
-    
-  } catch (error) {
-    console.error('');
-    console.error('╔═══════════════════════════════════════════════════════════╗');
-    console.error('║         REGISTRATION FAILED                            ║');
-    console.error('╚═══════════════════════════════════════════════════════════╝');
-    console.error('');
-    console.error('  Error:', error.message);
-    if (error.response) {
-      console.error('  Status:', error.response.status);
-      console.error('  Details:', error.response.data);
+    return result;
+  });
+  snapshotCache.set(key, { image, expiresAt: Date.now() + config.snapshot.cacheTtl * 1000 });
+
+  for (const [cachedKey, entry] of snapshotCache) {
+    if (snapshotCache.size <= SNAPSHOT_CACHE_MAX && entry.expiresAt > Date.now()) {
+      break;
     }
-    console.error('');
-    console.error('  Notifications will NOT work until registration succeeds.');
-    console.error('  Please check:');
-    console.error('  1. Internet connection is working');
-    console.error('  2. Notification proxy is online:', NOTIFICATION_PROXY_BASE_URL);
-    console.error('  3. No firewall blocking outbound HTTPS');
-    console.error('');
-    console.error('  You can manually set an API key with:');
-    console.error('  NOTIFICATION_PROXY_TOKEN=your-key-here');
-    console.error('');
-    console.error('═══════════════════════════════════════════════════════════');
-    console.error('');
-    return null;
+    snapshotCache.delete(cachedKey);
   }
+  return image;
 }
 
-// === STARTUP SEQUENCE ===
-
-(async function startBridge() {
-  // Step 1: Register with notification proxy and get API key
-  console.log('[Bridge] Step 1: Registering with notification proxy...');
-  NOTIFICATION_PROXY_TOKEN = await ensureApiKey();
-  
-  if (!NOTIFICATION_PROXY_TOKEN) {
-    console.error('[Bridge] Starting without notification proxy access');
-    console.error('[Bridge] Push notifications will NOT work');
-  } else {
-    console.log('[Bridge] Notification proxy ready');
+/**
+ * Inline image for a 4 KB push payload (FCM data, Expo message), sized to the room the rest of the
+ * payload leaves. Returns { data, contentType } or null when too little is left for a picture.
+ */
+async function getPayloadImage(payload, source) {
+  const fieldsSize = getPayloadSize({ imageData: '', imageType: 'image/jpeg' });
+  const room = PUSH_PAYLOAD_LIMIT - getPayloadSize(payload) - fieldsSize;
+  // base64 takes 4 bytes per 3; rounded down to 256 so devices with similar payloads share the cached image
+  const maxBytes = Math.floor((room * 3) / 4 / 256) * 256;
+  if (maxBytes < SNAPSHOT_MIN_INLINE) {
+    console.log(`[Snapshot] Only ${Math.max(room, 0)} bytes left in the push payload - sending without an inline image`);
+    return null;
   }
-  
-  // Step 2: Start Express server
-  console.log('[Bridge] Step 2: Starting HTTP server...');
-  app.listen(config.bridge.port, () => {
-    console.log(`[Bridge] HTTP server listening on port ${config.bridge.port}`);
-    console.log(`[Bridge] Health check: http://localhost:${config.bridge.port}/health`);
+  return getSnapshot(source, maxBytes);
+}
+
+/**
+ * Signed bridge URL for a cached, downscaled snapshot ('hosted' delivery)
+ * source.id is the review or event ID; the signature covers both image sources
+ */
+function buildSnapshotUrl(source) {
+  const instance = getFrigateInstance(source.instance);
+  const thumbPath = source.thumbPath || '';
+  const eventId = source.eventId || '';
+  const expires = Math.floor(Date.now() / 1000) + config.media.urlTtl;
+  const params = new URLSearchParams({
+    ...(!instance.primary && { instance: instance.name }),
+    ...(thumbPath && { path: thumbPath }),
+    ...(eventId && { event: eventId }),
+    expires: expires.toString(),
+    sig: signMedia('snapshot', instance.name, source.id, `${thumbPath}\n${eventId}`, expires),
   });
+  return `${MEDIA_PUBLIC_URL}/media/snapshot/${encodeURIComponent(source.id)}?${params}`;
+}
 
-  // Step 3: Connect to MQTT
-  console.log('[Bridge] Step 3: Connecting to MQTT...');
-  console.log(`[MQTT] Connecting to ${config.mqtt.host}...`);
-})();
+// === SNOOZES ===
+//
+// Temporary mutes for a camera and/or label, for one device or everyone (device = null).
+// Created with POST /snooze or notification actions; expired snoozes are dropped when they are
+// next checked. Global snoozes are applied in processReviewMessage/processEventMessage,
+// device snoozes during fan-out.
 
-// MQTT Client (initialized after registration)
-const client = mqtt.connect(config.mqtt.host, {
-  username: config.mqtt.username,
-  password: config.mqtt.password,
-  reconnectPeriod: 5000,
-  connectTimeout: 10000,
+const snoozesStore = storage.collection('snoozes', {
+  version: 1,
+  migrations: {
+    0: saved => saved, // v0: the bare snooze array
+  },
 });
+let snoozes = snoozesStore.load() || [];
+if (snoozes.length > 0) {
+  console.log(`[Snooze] Loaded ${snoozes.length} snoozes from persistent storage`);
+}
 
-client.on('connect', () => {
-  console.log('[MQTT] Connected to broker');
-  stats.mqttConnected = true;
-  
-  // Subscribe to configured MQTT topic (frigate/reviews by default)
-  client.subscribe(config.mqtt.topic, (err) => {
-    if (err) {
-      console.error('[MQTT] Subscription error:', err);
-    } else {
-      console.log(`[MQTT] Subscribed to topic: ${config.mqtt.topic}`);
-      
-      // Log recommendation if using old events topic
-      if (config.mqtt.topic === 'frigate/events') {
-        console.log('[MQTT] Using frigate/events topic. Consider switching to frigate/reviews for better notification management.');
-      }
-    }
+function saveSnoozes() {
+  snoozesStore.save(snoozes);
+}
+
+// Drop expired snoozes; returns the active ones
+function getActiveSnoozes() {
+  const now = Date.now();
+  const active = snoozes.filter(snooze => Date.parse(snooze.until) > now);
+  if (active.length !== snoozes.length) {
+    snoozes = active;
+    saveSnoozes();
+  }
+  return snoozes;
+}
+
+/**
+ * Add a snooze for a camera ("camera" or "instance/camera") and/or label until a time (ms)
+ * device: push token the snooze applies to, or null for every device
+ */
+function addSnooze({ camera = null, label = null, device = null, until, source }) {
+  const snooze = {
+    id: crypto.randomUUID(),
+    camera,
+    label,
+    device,
+    until: new Date(until).toISOString(),
+    createdAt: new Date().toISOString(),
+    source, // 'api' or 'action' (notification button)
+  };
+  snoozes.push(snooze);
+  saveSnoozes();
+  console.log(`[Snooze] ${[camera, label].filter(Boolean).join(' / ')} snoozed until ${snooze.until} for ${device ? devices.get(device)?.name || 'Unknown' : 'all devices'}`);
+  return snooze;
+}
+
+// The active snooze that silences this alert for a device, or null
+function findSnooze(token, cameraId, objects) {
+  return getActiveSnoozes().find(snooze =>
+    (!snooze.device || snooze.device === token) &&
+    (!snooze.camera || matchesCamera([snooze.camera], cameraId)) &&
+    (!snooze.label || objects.includes(snooze.label))) || null;
+}
+
+const describeSnooze = snooze => `snoozed ${[snooze.camera, snooze.label].filter(Boolean).join(' / ')} until ${snooze.until}`;
+
+// Snooze for API responses (device token shortened like in the history)
+function redactSnooze(snooze) {
+  return {
+    ...snooze,
+    device: snooze.device ? `${snooze.device.substring(0, 30)}...` : null,
+    deviceName: snooze.device ? devices.get(snooze.device)?.name || 'Unknown' : null,
+  };
+}
+
+// === NOTIFICATION ACTIONS ===
+//
+// FCM notifications carry an `actions` descriptor; each button POSTs back to /actions/<id>.
+// The descriptor is HMAC-signed (same secret as media links) for the device, review, camera and
+// label it was sent with, so the app can call back without any other credential.
+
+const NOTIFICATION_ACTIONS = ['snooze_camera', 'mute_label', 'mark_reviewed'];
+
+function signAction({ token, instance, camera, label, reviewId, expires }) {
+  return crypto.createHmac('sha256', mediaSecret)
+    .update(`action\n${token}\n${instance}\n${camera}\n${label || ''}\n${reviewId}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * Build the action descriptor for a review notification (null without a review to act on)
+ * The app POSTs { token, instance, camera, label, reviewId, expires, sig } to `${url}/${button.id}`;
+ * url is relative when BRIDGE_PUBLIC_URL isn't set (the app prefixes its bridge URL)
+ */
+function buildNotificationActions({ token, instance, camera, label, reviewId }) {
+  if (!reviewId || !camera) {
+    return null;
+  }
+  const expires = Math.floor(Date.now() / 1000) + config.actions.ttl;
+  return {
+    url: `${MEDIA_PUBLIC_URL || ''}/actions`,
+    label: label || '',
+    expires,
+    sig: signAction({ token, instance, camera, label, reviewId, expires }),
+    buttons: [
+      { id: 'snooze_camera', title: `Snooze ${camera.replace(/_/g, ' ')} ${config.actions.snoozeMinutes} min` },
+      ...(label ? [{ id: 'mute_label', title: `Mute ${label} ${config.actions.muteMinutes} min` }] : []),
+      { id: 'mark_reviewed', title: 'Mark as reviewed' },
+    ],
+  };
+}
+
+// Check a signed action request; returns an error message or null
+function verifyActionSignature(body) {
+  const { sig, expires } = body;
+  if (typeof sig !== 'string' || !Number.isInteger(expires)) {
+    return 'Missing signature';
+  }
+  const expected = Buffer.from(signAction(body));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid signature';
+  }
+  if (expires * 1000 < Date.now()) {
+    return 'Action expired';
+  }
+  return null;
+}
+
+// Tell Frigate a review item has been viewed
+async function markReviewViewed(instance, reviewId) {
+  await axios.post(`${instance.internalUrl}/api/reviews/viewed`, { ids: [reviewId] }, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...(instance.jwtToken && { Authorization: `Bearer ${instance.jwtToken}` }),
+    },
+    timeout: 10000,
   });
-});
+}
 
-client.on('error', (err) => {
-  console.error('[MQTT] Connection error:', err.message);
-  stats.mqttConnected = false;
-});
+// Default per-device filters (empty lists = no extra restriction beyond the global filters)
+const DEFAULT_DEVICE_FILTERS = {
+  cameras: [],
+  labels: [],
+  zones: [],
+  subLabels: [], // Only these recognized faces / plates
+  ignoreSubLabels: [], // Skip alerts where everyone recognized is listed here
+  severity: 'all', // 'alert', 'detection', or 'all'
+};
 
-client.on('close', () => {
-  console.log('[MQTT] Connection closed');
-  stats.mqttConnected = false;
-});
+// Cooldown tracking to prevent notification spam
+// `${camera}_${label}` → last notification time (ms)
+const notificationCooldowns = new Map();
+// camera → last notification time (ms)
+const cameraCooldowns = new Map();
 
-client.on('reconnect', () => {
-  console.log('[MQTT] Reconnecting...');
-});
+// Per-device send times within the last minute (for maxPerMinute rate limiting)
+// token → [timestamps]
+const deviceSendTimes = new Map();
 
-client.on('message', async (topic, message) => {
-  try {
-    const payload = JSON.parse(message.toString());
-    stats.eventsReceived++;
-    stats.lastEventTime = new Date().toISOString();
-    
-    // Detect if this is a review or event message
-    const isReview = topic.includes('reviews') || payload.severity !== undefined;
-    
-    if (isReview) {
-      // Process frigate/reviews message (recommended)
-      await processReviewMessage(payload);
-    } else {
-      // Process legacy frigate/events message (backwards compatibility)
-      await processEventMessage(payload);
-    }
-    
-  } catch (err) {
-    console.error('[MQTT] Error processing message:', err.message);
+// Track review notifications for progressive enhancement
+// reviewId → { severity, thumbPath, timestamp, notificationSent, notifiedTokens }
+const sentNotifications = new Map();
+
+// Statistics
+const stats = {
+  mqttConnected: false,
+  eventsReceived: 0,
+  notificationsSent: 0,
+  notificationsFailed: 0,
+  suppressed: {
+    cooldown: 0, // Alerts skipped because the camera or camera + label was cooling down
+    rateLimit: 0, // Per-device sends skipped by maxPerMinute
+  },
+  lastEventTime: null,
+  uptime: Date.now(),
+};
+
+// Prometheus metrics (GET /metrics) - labelled counterparts of stats, updated in the same places
+const metrics = {
+  eventsReceived: prometheus.counter('aviant_events_received_total', 'MQTT messages received from Frigate', ['topic', 'camera', 'severity']),
+  notifications: prometheus.counter('aviant_notifications_total', 'Notification delivery attempts (including retries)', ['transport', 'device', 'result']),
+  suppressed: prometheus.counter('aviant_notifications_suppressed_total', 'Notifications not sent, by reason', ['reason']),
+  mqttReconnects: prometheus.counter('aviant_mqtt_reconnects_total', 'MQTT reconnect attempts'),
+  actions: prometheus.counter('aviant_actions_total', 'Notification button callbacks', ['action', 'result']),
+  proxyLatency: prometheus.histogram('aviant_proxy_request_duration_seconds', 'Notification proxy request latency in seconds'),
+};
+
+prometheus.gauge('aviant_mqtt_connected', 'Whether the bridge is connected to the MQTT broker (1 = connected)', [], () => [
+  { value: stats.mqttConnected ? 1 : 0 },
+]);
+prometheus.gauge('aviant_uptime_seconds', 'Seconds since the bridge started', [], () => [
+  { value: Math.floor((Date.now() - stats.uptime) / 1000) },
+]);
+prometheus.gauge('aviant_devices', 'Registered devices by transport and health state', ['transport', 'health'], () => {
+  const counts = new Map();
+  for (const [token, device] of devices) {
+    const labels = { transport: getTransportType(token, device), health: device.health?.state || 'healthy' };
+    const key = `${labels.transport}/${labels.health}`;
+    counts.set(key, { labels, value: (counts.get(key)?.value || 0) + 1 });
   }
+  return Array.from(counts.values());
 });
+prometheus.gauge('aviant_queue_depth', 'Deliveries waiting in the retry queue', [], () => [
+  { value: deliveryQueue.length },
+]);
 
-// Process frigate/reviews message (new format)
-async function processReviewMessage(review) {
+// Express server for token registration and health checks
+const app = express();
+app.use(express.json());
+
+// === AUTHENTICATION ===
+//
+// Every API route needs a bearer credential (`Authorization: Bearer <key>`), except /health,
+// the signed /media links and /actions callbacks, and /register:
+//   admin key  - ADMIN_KEY, or generated on first run and kept in data/admin_key.json; all scopes
+//   device key - returned once by POST /register as `deviceKey` (only its hash is stored);
+//                DEVICE_SCOPES, and /devices/:token routes for its own token only; revocable
+// /register takes the admin key, a one-time pairing code, or AUTH_TOKEN (the shared secret, when set).
+// Keys from open registration (neither set) get OPEN_DEVICE_SCOPES: anyone on the network can get
+// one, so they must not be able to replace the Frigate token or point externalUrl elsewhere.
+
+const DEVICE_SCOPES = [
+  'device:self', // Own preferences, filters, schedules, test notification, unregister
+  'snooze:self', // Snoozes for its own device
+  'config:read', // GET /config/* (secrets are redacted)
+  'frigate-token:write', // The app keeps the Frigate token (and externalUrl) up to date
+];
+
+const OPEN_DEVICE_SCOPES = DEVICE_SCOPES.filter(scope => scope !== 'frigate-token:write');
+
+function loadAdminKey() {
+  if (config.security.adminKey) {
+    return config.security.adminKey;
+  }
+  try {
+    if (fs.existsSync(ADMIN_KEY_FILE)) {
+      return JSON.parse(fs.readFileSync(ADMIN_KEY_FILE, 'utf8')).adminKey;
+    }
+  } catch (err) {
+    console.error('[Auth] Error reading admin key file:', err.message);
+  }
+
+  const adminKey = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+  try {
+    storage.writeJsonFile(ADMIN_KEY_FILE, { adminKey, createdAt: new Date().toISOString() });
+  } catch (err) {
+    console.error('[Auth] Error saving admin key, it will change on restart:', err.message);
+  }
+  console.log('');
+  console.log('  Admin key generated (needed for /devices, /config and manage-devices.js):');
+  console.log('  ┌─────────────────────────────────────────────────────────┐');
+  console.log(`  │ ${adminKey} │`);
+  console.log('  └─────────────────────────────────────────────────────────┘');
+  console.log('  Saved in:', ADMIN_KEY_FILE);
+  console.log('');
+  return adminKey;
+}
+
+const adminKey = loadAdminKey();
+
+if (!config.security.authToken && !config.security.requirePairing) {
+  console.warn('[Auth] ⚠️  Registration is open (no AUTH_TOKEN or REQUIRE_PAIRING) - anyone who can reach the bridge can register a device.');
+  console.warn('[Auth]    Their device keys cannot update the Frigate token; set AUTH_TOKEN or use pairing codes for the app to do that.');
+}
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const getBearer = req => req.headers['authorization']?.replace(/^Bearer /, '') || null;
+
+// Resolve the request's credential: { role: 'admin', scopes } | { role: 'device', token, scopes } | null
+function getCredential(req) {
+  const key = getBearer(req);
+  if (!key) {
+    return null;
+  }
+  if (safeEqual(key, adminKey)) {
+    return { role: 'admin', scopes: ['*'] };
+  }
+  const keyHash = hashKey(key);
+  for (const device of devices.values()) {
+    if (device.keyHash && safeEqual(device.keyHash, keyHash)) {
+      return {
+        role: 'device',
+        token: device.token,
+        scopes: device.keyIssuedVia === 'open' ? OPEN_DEVICE_SCOPES : DEVICE_SCOPES,
+      };
+    }
+  }
+  return null;
+}
+
+const hasScope = (credential, scope) => credential.scopes.includes('*') || credential.scopes.includes(scope);
+
+// Require a credential with the given scope (admin has every scope); sets req.credential
+function requireScope(scope) {
+  return (req, res, next) => {
+    const credential = getCredential(req);
+    if (!credential) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    if (!hasScope(credential, scope)) {
+      return res.status(403).json({ error: `Forbidden: requires the ${scope === '*' ? 'admin key' : `${scope} scope`}` });
+    }
+    req.credential = credential;
+    next();
+  };
+}
+
+const requireAdmin = requireScope('*');
+
+// Devices may only act on themselves (used where the target token is in the path or body)
+function isOwnDevice(credential, token) {
+  return credential.role === 'admin' || credential.token === token;
+}
+
+// /devices/:token routes - the admin or the device itself
+function requireDeviceAccess(req, res, next) {
+  requireScope('device:self')(req, res, () => {
+    if (!isOwnDevice(req.credential, req.params.token)) {
+      return res.status(403).json({ error: 'Forbidden: devices can only access their own settings' });
+    }
+    next();
+  });
+}
+
+// === PAIRING CODES ===
+//
+// One-time codes an admin issues (POST /pairing, `manage-devices.js pair`) so a phone can
+// register without the shared AUTH_TOKEN. Codes are kept in memory only - a restart voids them.
+
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I - codes get typed in by hand
+
+const pairingCodes = new Map(); // code (no dash) → { code, name, createdAt, expiresAt }
+
+function createPairingCode(name, minutes) {
+  const bytes = crypto.randomBytes(8);
+  const code = Array.from(bytes, byte => PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length]).join('');
+  const pairing = {
+    code,
+    name: name || null,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + minutes * 60000,
+  };
+  pairingCodes.set(code, pairing);
+  return pairing;
+}
+
+// "abcd-efgh", "ABCD EFGH" → "ABCDEFGH"; null when it can't be a pairing code
+function normalizePairingCode(value) {
+  const code = String(value).toUpperCase().replace(/[\s-]/g, '');
+  return /^[A-Z0-9]{8}$/.test(code) ? code : null;
+}
+
+// Active pairing codes (expired ones are pruned)
+function getPairingCodes() {
+  for (const [code, pairing] of pairingCodes) {
+    if (pairing.expiresAt <= Date.now()) {
+      pairingCodes.delete(code);
+    }
+  }
+  return Array.from(pairingCodes.values());
+}
+
+const formatPairingCode = code => `${code.slice(0, 4)}-${code.slice(4)}`;
+
+function describePairingCode(pairing) {
+  return {
+    code: formatPairingCode(pairing.code),
+    name: pairing.name,
+    createdAt: new Date(pairing.createdAt).toISOString(),
+    expiresAt: new Date(pairing.expiresAt).toISOString(),
+  };
+}
+
+// Registration takes the admin key, a pairing code (`pairingCode` in the body, or as the bearer),
+// or AUTH_TOKEN. Without AUTH_TOKEN and REQUIRE_PAIRING, registration stays open.
+// A device may also re-register itself with its current device key (see canReissueDeviceKey).
+// Sets req.registration = { via: 'admin' | 'pairing' | 'device' | 'auth-token' | 'open', pairing?, token? }
+function requireRegistrationAuth(req, res, next) {
+  const key = getBearer(req);
+  if (key && safeEqual(key, adminKey)) {
+    req.registration = { via: 'admin' };
+    return next();
+  }
+
+  const credential = key && getCredential(req);
+  if (credential?.role === 'device') {
+    req.registration = { via: 'device', token: credential.token };
+    return next();
+  }
+
+  const code = normalizePairingCode(req.body?.pairingCode || key || '');
+  const pairing = code && getPairingCodes().find(item => safeEqual(item.code, code));
+  if (pairing) {
+    req.registration = { via: 'pairing', pairing };
+    return next();
+  }
+  if (req.body?.pairingCode) {
+    return res.status(401).json({ error: 'Invalid or expired pairing code' });
+  }
+
+  const authToken = config.security.authToken;
+  if (config.security.requirePairing) {
+    return res.status(401).json({ error: 'Unauthorized: a pairing code is required' });
+  }
+  if (!authToken) {
+    req.registration = { via: 'open' };
+    return next();
+  }
+  if (!key || !safeEqual(key, authToken)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  req.registration = { via: 'auth-token' };
+  next();
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    mqtt: stats.mqttConnected ? 'connected' : 'disconnected',
+    uptime: Math.floor((Date.now() - stats.uptime) / 1000),
+    stats: {
+      eventsReceived: stats.eventsReceived,
+      notificationsSent: stats.notificationsSent,
+      notificationsFailed: stats.notificationsFailed,
+      suppressed: stats.suppressed,
+      lastEventTime: stats.lastEventTime,
+    },
+    registeredTokens: devices.size,
+    fcm: {
+      mode: fcm.mode, // 'direct' or 'proxy'
+      ...(fcm.projectId && { projectId: fcm.projectId }),
+      ...(fcm.error && { error: fcm.error }),
+      ...(!fcmAvailable && { proxy: NOTIFICATION_PROXY_BASE_URL, proxyRegistered: !!NOTIFICATION_PROXY_TOKEN }),
+    },
+    queue: getQueueHealth(),
+    frigateTokens: getFrigateInstances().map(instance => ({
+      instance: instance.name,
+      ...getTokenExpiry(instance),
+    })),
+    snoozes: getActiveSnoozes().map(redactSnooze),
+  });
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.set('Content-Type', prometheus.contentType);
+  res.send(prometheus.render());
+});
+
+// === MEDIA ENDPOINTS (signed links from notifications) ===
+
+// Fetch an image from Frigate over the internal URL and stream it to the client
+async function sendFrigateImage(res, instance, frigatePath) {
+  try {
+    const image = await fetchFrigateImage(instance, frigatePath);
+    res.set('Content-Type', image.contentType);
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(image.data);
+  } catch (err) {
+    const status = err.response?.status;
+    console.error(`[Media] Failed to fetch ${frigatePath} from ${instance.name}: ${status ? `HTTP ${status}` : err.message}`);
+    res.status(status === 404 ? 404 : 502).json({ error: status === 404 ? 'Image not found' : 'Could not fetch image from Frigate' });
+  }
+}
+
+// Review thumbnail (webp) - path is the signed Frigate clips path
+app.get('/media/review/:id', async (req, res) => {
+  const { instance: instanceName = PRIMARY_INSTANCE, path: mediaPath = '', expires, sig } = req.query;
+  const error = verifyMediaSignature('review', instanceName, req.params.id, mediaPath, expires, sig);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  const instance = getFrigateInstance(instanceName);
+  if (!instance || !mediaPath.startsWith('/clips/') || mediaPath.includes('..')) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  await sendFrigateImage(res, instance, mediaPath);
+});
+
+// Event thumbnail (jpg)
+app.get('/media/event/:id', async (req, res) => {
+  const { instance: instanceName = PRIMARY_INSTANCE, expires, sig } = req.query;
+  const error = verifyMediaSignature('event', instanceName, req.params.id, '', expires, sig);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  const instance = getFrigateInstance(instanceName);
+  if (!instance) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  await sendFrigateImage(res, instance, `/api/events/${encodeURIComponent(req.params.id)}/thumbnail.jpg`);
+});
+
+// Review previews and clips (signed Frigate API path), streamed with Range support so videos can seek
+app.get('/media/footage/:id', async (req, res) => {
+  const { instance: instanceName = PRIMARY_INSTANCE, path: mediaPath = '', expires, sig } = req.query;
+  const error = verifyMediaSignature('footage', instanceName, req.params.id, mediaPath, expires, sig);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  const instance = getFrigateInstance(instanceName);
+  if (!instance?.internalUrl || !FOOTAGE_PATH.test(mediaPath)) {
+    return res.status(404).json({ error: 'Footage not found' });
+  }
+
+  // Stop fetching from Frigate as soon as the client goes away (before or during the stream)
+  const upstream = new AbortController();
+  res.on('close', () => upstream.abort());
+
+  try {
+    const response = await axios.get(`${instance.internalUrl}${mediaPath}`, {
+      responseType: 'stream',
+      timeout: 30000,
+      signal: upstream.signal,
+      headers: {
+        ...(instance.jwtToken && { Authorization: `Bearer ${instance.jwtToken}` }),
+        ...(req.headers.range && { Range: req.headers.range }),
+      },
+    });
+    res.status(response.status);
+    for (const header of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+      if (response.headers[header]) {
+        res.set(header, response.headers[header]);
+      }
+    }
+    res.set('Cache-Control', 'private, max-age=300');
+    res.on('close', () => response.data.destroy());
+    // Headers are already sent, so a failure mid-stream can only cut the response short
+    response.data.on('error', err => {
+      if (!upstream.signal.aborted) {
+        console.error(`[Media] Stream of ${mediaPath} from ${instance.name} failed: ${err.message}`);
+      }
+      res.destroy();
+    });
+    response.data.pipe(res);
+  } catch (err) {
+    if (upstream.signal.aborted) {
+      return;
+    }
+    const status = err.response?.status;
+    console.error(`[Media] Failed to fetch ${mediaPath} from ${instance.name}: ${status ? `HTTP ${status}` : err.message}`);
+    res.status(status === 404 ? 404 : 502).json({ error: status === 404 ? 'Footage not found' : 'Could not fetch footage from Frigate' });
+  }
+});
+
+// Downscaled snapshot from the cache ('hosted' image delivery) - fetched again if it has expired
+app.get('/media/snapshot/:id', async (req, res) => {
+  const { instance: instanceName = PRIMARY_INSTANCE, path: thumbPath = '', event: eventId = '', expires, sig } = req.query;
+  const error = verifyMediaSignature('snapshot', instanceName, req.params.id, `${thumbPath}\n${eventId}`, expires, sig);
+  if (error) {
+    return res.status(403).json({ error });
+  }
+
+  if (!getFrigateInstance(instanceName) || (thumbPath && (!thumbPath.startsWith('/clips/') || thumbPath.includes('..')))) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  const image = await getSnapshot({ instance: instanceName, id: req.params.id, thumbPath, eventId }, config.snapshot.maxKb * 1024);
+  if (!image) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  res.set('Content-Type', image.contentType);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(image.data);
+});
+
+// Registering a token that already has a device key (or had one revoked) replaces that key, so it
+// needs the device's current key, the admin key or a pairing code - otherwise anyone who knows the
+// push token could take over the device's credential. Revoked devices need the admin or a pairing code.
+// Returns an error message, or null when the registration may go ahead.
+function canReissueDeviceKey(registration, pushToken, existingDevice) {
+  if (registration.via === 'device' && registration.token !== pushToken) {
+    return 'A device key can only re-register its own device';
+  }
+  if (!existingDevice || registration.via === 'admin' || registration.via === 'pairing') {
+    return null;
+  }
+  if (existingDevice.keyRevokedAt) {
+    return 'This device\'s key was revoked - register it with a new pairing code';
+  }
+  if (existingDevice.keyHash && registration.via !== 'device') {
+    return 'This device is already registered - re-register with its device key, the admin key or a pairing code';
+  }
+  return null;
+}
+
+// Register push token endpoint (with optional device metadata)
+app.post('/register', requireRegistrationAuth, (req, res) => {
+  const { deviceName, deviceModel, platform, notificationType, imageMode, imageDelivery, transport, settings } = req.body;
+  let { pushToken } = req.body;
+  let tokenType;
+  let transportSettings = null;
+  
+  if (imageDelivery !== undefined) {
+    const deliveryError = validateImageDelivery(imageDelivery);
+    if (deliveryError) {
+      return res.status(400).json({ error: deliveryError });
+    }
+  }
+  
+  if (transport && transport !== 'fcm' && transport !== 'expo') {
+    // Self-hosted transport (ntfy, Gotify, Pushover) - the device key is derived from its settings
+    const handler = selfHostedTransports[transport];
+    if (!handler) {
+      return res.status(400).json({
+        error: `Unknown transport: ${transport}. Supported: fcm, expo, ${Object.keys(selfHostedTransports).join(', ')}`,
+      });
+    }
+    
+    const result = handler.validate(settings);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    transportSettings = result.settings;
+    tokenType = transport;
+    pushToken = `${transport}:${crypto.createHash('sha256').update(handler.identity(transportSettings)).digest('hex').substring(0, 40)}`;
+  } else {
+    // Validate token format
+    if (!pushToken || typeof pushToken !== 'string' || pushToken.length < 10) {
+      return res.status(400).json({ error: 'Invalid push token format' });
+    }
+    
+    // Detect token type
+    const isExpoToken = pushToken.startsWith('ExponentPushToken[');
+    const isFCMToken = !isExpoToken && pushToken.length > 50; // FCM tokens are typically 150+ chars
+    
+    if (!isExpoToken && !isFCMToken) {
+      return res.status(400).json({ error: 'Unknown push token format' });
+    }
+    
+    tokenType = isExpoToken ? 'expo' : 'fcm';
+  }
+  
+  // Store device metadata (preserve existing templates if re-registering)
+  const existingDevice = devices.get(pushToken);
+  const reissueError = canReissueDeviceKey(req.registration, pushToken, existingDevice);
+  if (reissueError) {
+    console.warn(`[Auth] Refused registration for ${existingDevice?.name || 'unknown device'} via ${req.registration.via}: ${reissueError}`);
+    return res.status(403).json({ error: reissueError });
+  }
+  const deviceInfo = {
+    token: pushToken,
+    tokenType, // Store token type for logging
+    name: deviceName || req.registration.pairing?.name || 'Unknown Device',
+    model: deviceModel || 'Unknown Model',
+    platform: platform || 'Unknown',
+    registeredAt: existingDevice?.registeredAt || new Date().toISOString(),
+    lastSeen: new Date().toISOString(),
+    templates: existingDevice?.templates || { ...notificationTemplates.DEFAULT_TEMPLATES },
+    imageMode: imageMode || existingDevice?.imageMode || 'static', // 'static' or 'animated'
+    imageDelivery: imageDelivery || existingDevice?.imageDelivery || 'link', // 'link', 'inline' or 'hosted'
+    filters: existingDevice?.filters || { ...DEFAULT_DEVICE_FILTERS },
+    schedules: existingDevice?.schedules || [],
+    timezone: existingDevice?.timezone || null, // null = use the bridge timezone
+    maxPerMinute: existingDevice?.maxPerMinute || null, // null = unlimited
+    digestWindow: existingDevice?.digestWindow || null, // Seconds to batch alerts into a digest (null = off)
+    endSummary: existingDevice?.endSummary || false, // Follow-up notification when the review ends
+    summaryTemplates: existingDevice?.summaryTemplates || null, // null = DEFAULT_SUMMARY_TEMPLATES
+    health: { state: 'healthy', consecutiveFailures: 0 }, // Re-registering means the app has a working token
+    keyHash: null, // Set below - each registration issues a new device key
+    keyIssuedAt: new Date().toISOString(),
+    // 'admin', 'pairing', 'auth-token' or 'open' (renewing with the device key keeps how it was first issued)
+    keyIssuedVia: req.registration.via === 'device' ? existingDevice.keyIssuedVia : req.registration.via,
+    ...(transportSettings && { transportSettings }), // Settings for self-hosted transports
+  };
+  
+  // Device key for the app's own API calls (returned once, only the hash is kept)
+  const deviceKey = `dk_${crypto.randomBytes(24).toString('base64url')}`;
+  deviceInfo.keyHash = hashKey(deviceKey);
+  
+  // Pairing codes are single-use - only consumed once the registration has gone through
+  if (req.registration.pairing) {
+    pairingCodes.delete(req.registration.pairing.code);
+    console.log(`[Pairing] Code ${formatPairingCode(req.registration.pairing.code)} used by ${deviceInfo.name}`);
+  }
+  
+  devices.set(pushToken, deviceInfo);
+  saveDevices();
+  
+  console.log(`[Bridge] Registered device: ${deviceInfo.name} (${deviceInfo.model}) - Token type: ${tokenType}`);
+  console.log(`[Bridge] Total registered devices: ${devices.size}`);
+  
+  res.json({ 
+    success: true, 
+    message: 'Device registered successfully',
+    totalDevices: devices.size,
+    pushToken, // Device key to use with /devices/:token endpoints (generated for self-hosted transports)
+    deviceKey, // Bearer credential for this device's API calls - store it, it is not shown again
+    device: redactDevice(deviceInfo),
+  });
+});
+
+// Hide secrets (transport settings, device key hash) before returning a device from the API
+function redactDevice(device) {
+  const { keyHash, ...redacted } = device;
+  if (!device.transportSettings) {
+    return redacted;
+  }
+  return {
+    ...redacted,
+    transportSettings: redactTransportSettings(device.tokenType, device.transportSettings),
+  };
+}
+
+// Unregister push token endpoint
+app.post('/unregister', requireScope('device:self'), (req, res) => {
+  const { pushToken } = req.body;
+  
+  if (!isOwnDevice(req.credential, pushToken)) {
+    return res.status(403).json({ error: 'Forbidden: devices can only unregister themselves' });
+  }
+  
+  if (devices.has(pushToken)) {
+    devices.delete(pushToken);
+    saveDevices();
+    console.log(`[Bridge] Unregistered device: ${pushToken.substring(0, 30)}...`);
+    res.json({ success: true, message: 'Device unregistered successfully' });
+  } else {
+    res.status(404).json({ error: 'Device not found' });
+  }
+});
+
+// List registered tokens (for debugging)
+app.get('/tokens', requireAdmin, (req, res) => {
+  res.json({
+    count: devices.size,
+    tokens: Array.from(devices.keys()).map(t => `${t.substring(0, 30)}...`),
+  });
+});
+
+// Send test notification
+app.post('/test-notification', requireScope('device:self'), async (req, res) => {
+  const { pushToken } = req.body;
+  
+  if (!pushToken) {
+    return res.status(400).json({ error: 'Push token required' });
+  }
+  
+  if (!isOwnDevice(req.credential, pushToken)) {
+    return res.status(403).json({ error: 'Forbidden: devices can only send test notifications to themselves' });
+  }
+  
+  const device = devices.get(pushToken);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not registered' });
+  }
+  
+  try {
+    console.log(`[Bridge] Sending test notification to: ${device.name}`);
+    
+    // Self-hosted transports go through the transport registry
+    if (selfHostedTransports[device.tokenType]) {
+      const result = await sendToTransport(pushToken, {
+        title: 'Test Notification',
+        body: 'This is a test notification from Aviant Bridge',
+      });
+      
+      if (!result.success) {
+        return res.status(500).json({ error: 'Failed to send test notification', details: result.error });
+      }
+      
+      return res.json({
+        success: true,
+        message: `Test notification sent via ${device.tokenType}`,
+        result,
+      });
+    }
+    
+    // Check if it's an FCM token
+    const isFCMToken = device.tokenType === 'fcm' || (!pushToken.startsWith('ExponentPushToken['));
+    
+    if (isFCMToken && fcmAvailable) {
+      // Send directly with the Firebase Admin SDK (local service account)
+      console.log('[Bridge] Using Firebase Admin SDK for FCM token');
+      
+      const messageId = await admin.messaging().send({
+        token: pushToken,
+        data: {
+          title: 'Test Notification',
+          body: 'This is a test notification from Aviant Bridge',
+          notificationType: 'test',
+          timestamp: Date.now().toString(),
+        },
+        android: { priority: 'high' },
+      });
+      
+      console.log('[Bridge] Test notification sent via FCM:', messageId);
+      
+      return res.json({
+        success: true,
+        message: 'Test notification sent via FCM',
+        result: { messageId },
+      });
+    } else if (isFCMToken) {
+      // Send via Notification Proxy (Cloudflare Worker with FCM credentials)
+      console.log('[Bridge] Using notification proxy for FCM token');
+      
+      const proxyPayload = {
+        token: pushToken,
+        title: 'Test Notification',
+        body: 'This is a test notification from Aviant Bridge',
+        data: {
+          notificationType: 'test',
+          timestamp: Date.now().toString(),
+        },
+        priority: 'high',
+      };
+      
+      const response = await axios.post(NOTIFICATION_PROXY_URL, proxyPayload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${NOTIFICATION_PROXY_TOKEN}`,
+        },
+        timeout: 10000,
+      });
+      
+      console.log('[Bridge] Test notification sent via proxy:', response.data);
+      
+      return res.json({ 
+        success: true, 
+        message: 'Test notification sent via proxy',
+        result: response.data,
+      });
+    } else {
+      // Send via Expo Push (for legacy tokens)
+      console.log('[Bridge] Using Expo Push Service for legacy token');
+      
+      const expoPushMessage = {
+        to: pushToken,
+        sound: 'default',
+        title: 'Test Notification',
+        body: 'This is a test notification from Aviant Bridge',
+        data: { notificationType: 'test' },
+      };
+      
+      const expoPushResponse = await axios.post('https://exp.host/--/api/v2/push/send', expoPushMessage, {
+        headers: {
+          'Accept': 'application/json',
+          'Content-Type': 'application/json',
+        },
+        timeout: 10000,
+      });
+      
+      console.log('[Bridge] Test Expo notification sent:', expoPushResponse.data);
+      
+      return res.json({ 
+        success: true, 
+        message: 'Test notification sent via Expo',
+        result: expoPushResponse.data,
+      });
+    }
+  } catch (error) {
+    console.error('[Bridge] Failed to send test notification:', error.message);
+    if (error.response) {
+      console.error('[Bridge] Proxy response:', error.response.status, error.response.data);
+    }
+    return res.status(500).json({ 
+      error: 'Failed to send test notification',
+      details: error.message,
+    });
+  }
+});
+
+// === PAIRING ENDPOINTS ===
+
+// Issue a one-time pairing code. The QR payload carries the bridge URL (body `bridgeUrl`,
+// else BRIDGE_PUBLIC_URL) so the app can register in one scan.
+app.post('/pairing', requireAdmin, (req, res) => {
+  const { name, minutes = config.security.pairingCodeTtl } = req.body;
+  const bridgeUrl = (typeof req.body.bridgeUrl === 'string' && req.body.bridgeUrl.replace(/\/+$/, '')) || MEDIA_PUBLIC_URL;
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).json({ error: 'name must be a non-empty string' });
+  }
+  if (!Number.isFinite(minutes) || minutes <= 0 || minutes > 1440) {
+    return res.status(400).json({ error: 'minutes must be a number between 1 and 1440' });
+  }
+  
+  const pairing = createPairingCode(name?.trim(), minutes);
+  const qrPayload = JSON.stringify({
+    type: 'aviant-bridge-pairing',
+    ...(bridgeUrl && { bridgeUrl }),
+    pairingCode: formatPairingCode(pairing.code),
+  });
+  
+  console.log(`[Pairing] Issued code for ${pairing.name || 'a new device'}, valid until ${new Date(pairing.expiresAt).toISOString()}`);
+  res.json({ success: true, ...describePairingCode(pairing), qrPayload });
+});
+
+// List unused, unexpired pairing codes
+app.get('/pairing', requireAdmin, (req, res) => {
+  const codes = getPairingCodes().map(describePairingCode);
+  res.json({ count: codes.length, codes });
+});
+
+// Cancel a pairing code before it is used
+app.delete('/pairing/:code', requireAdmin, (req, res) => {
+  const code = normalizePairingCode(req.params.code);
+  if (!code || !pairingCodes.delete(code)) {
+    return res.status(404).json({ error: 'Pairing code not found' });
+  }
+  res.json({ success: true });
+});
+
+// === DEVICE MANAGEMENT ENDPOINTS ===
+
+// List all registered devices with metadata
+app.get('/devices', requireAdmin, (req, res) => {
+  const devicesList = Array.from(devices.values()).map(device => ({
+    ...redactDevice(device),
+    token: `${device.token.substring(0, 30)}...`, // Redact full token
+  }));
+  
+  res.json({
+    count: devices.size,
+    devices: devicesList,
+  });
+});
+
+// Find a device by full or redacted token (GET /devices only shows the first 30 characters)
+function findDeviceByPrefix(token) {
+  for (const [key] of devices) {
+    if (key === token || key.startsWith(token.substring(0, 30))) {
+      return key;
+    }
+  }
+  return null;
+}
+
+// Remove a specific device by token
+app.delete('/devices/:token', requireAdmin, (req, res) => {
+  const fullToken = findDeviceByPrefix(req.params.token);
+  
+  if (fullToken) {
+    devices.delete(fullToken);
+    saveDevices();
+    console.log(`[Bridge] Removed device: ${fullToken.substring(0, 30)}...`);
+    res.json({ success: true, message: 'Device removed successfully' });
+  } else {
+    res.status(404).json({ error: 'Device not found' });
+  }
+});
+
+// Revoke a device's API key - it keeps receiving notifications, but its API calls are refused
+// until it registers again with a new pairing code or the admin key
+app.delete('/devices/:token/key', requireAdmin, (req, res) => {
+  const device = devices.get(findDeviceByPrefix(req.params.token));
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  if (!device.keyHash) {
+    return res.status(409).json({ error: 'Device has no active key' });
+  }
+  
+  device.keyHash = null;
+  device.keyRevokedAt = new Date().toISOString();
+  saveDevices();
+  
+  console.log(`[Auth] Revoked device key for ${device.name}`);
+  res.json({ success: true, message: 'Device key revoked', device: redactDevice(device) });
+});
+
+// Problems in a { title, body } template pair, prefixed with the field they are in
+function getTemplateErrors(pair) {
+  return ['title', 'body'].flatMap(field => typeof pair[field] === 'string'
+    ? notificationTemplates.validate(pair[field]).map(error => `${field}: ${error}`)
+    : []);
+}
+
+// Update device preferences (notification templates, etc.)
+app.put('/devices/:token/preferences', requireDeviceAccess, (req, res) => {
+  const { token } = req.params;
+  const { templates, filters, maxPerMinute, endSummary, summaryTemplates, digestWindow } = req.body;
+
+  // Find device by full token match
+  const device = devices.get(token);
+
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  // Validate filters before touching anything so a bad request changes nothing
+  let normalizedFilters = null;
+  if (filters !== undefined) {
+    const result = normalizeDeviceFilters(filters, device.filters);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    normalizedFilters = result.filters;
+  }
+
+  if (maxPerMinute !== undefined && maxPerMinute !== null &&
+      (!Number.isInteger(maxPerMinute) || maxPerMinute < 0)) {
+    return res.status(400).json({ error: 'maxPerMinute must be a non-negative integer (0 or null = unlimited)' });
+  }
+
+  if (digestWindow !== undefined && digestWindow !== null && digestWindow !== 0 &&
+      (!Number.isInteger(digestWindow) || digestWindow < DIGEST_WINDOW_MIN || digestWindow > DIGEST_WINDOW_MAX)) {
+    return res.status(400).json({ error: `digestWindow must be ${DIGEST_WINDOW_MIN}-${DIGEST_WINDOW_MAX} seconds (0 or null = off)` });
+  }
+
+  if (endSummary !== undefined && typeof endSummary !== 'boolean') {
+    return res.status(400).json({ error: 'endSummary must be true or false' });
+  }
+
+  // Summary templates: { title, body }, or null for the defaults
+  if (summaryTemplates !== undefined && summaryTemplates !== null) {
+    if (typeof summaryTemplates !== 'object' || typeof summaryTemplates.title !== 'string' || typeof summaryTemplates.body !== 'string' ||
+        !summaryTemplates.title.trim() || !summaryTemplates.body.trim()) {
+      return res.status(400).json({ error: 'summaryTemplates must include title and body strings (or be null for the defaults)' });
+    }
+    const summaryErrors = getTemplateErrors(summaryTemplates);
+    if (summaryErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid summary template: ${summaryErrors.join('; ')}`, errors: summaryErrors });
+    }
+  }
+
+  // Validate templates if provided
+  if (templates) {
+    if (!templates.title || !templates.body) {
+      return res.status(400).json({ error: 'Templates must include both title and body' });
+    }
+    
+    if (typeof templates.title !== 'string' || typeof templates.body !== 'string') {
+      return res.status(400).json({ error: 'Template title and body must be strings' });
+    }
+
+    const templateErrors = getTemplateErrors(templates);
+    if (templateErrors.length > 0) {
+      return res.status(400).json({ error: `Invalid template: ${templateErrors.join('; ')}`, errors: templateErrors });
+    }
+    
+    // Update templates
+    device.templates = {
+      title: templates.title.trim(),
+      body: templates.body.trim(),
+    };
+    
+    devices.set(token, device);
+    saveDevices();
+    
+    console.log(`[Bridge] Updated templates for device: ${device.name}`);
+    console.log(`[Bridge]   Title: ${device.templates.title}`);
+    console.log(`[Bridge]   Body: ${device.templates.body}`);
+  }
+
+  if (normalizedFilters) {
+    device.filters = normalizedFilters;
+    devices.set(token, device);
+    saveDevices();
+
+    console.log(`[Bridge] Updated filters for device: ${device.name}`, device.filters);
+  }
+
+  if (maxPerMinute !== undefined) {
+    device.maxPerMinute = maxPerMinute || null;
+    devices.set(token, device);
+    saveDevices();
+
+    console.log(`[Bridge] Updated rate limit for device: ${device.name} → ${device.maxPerMinute ? `${device.maxPerMinute}/min` : 'unlimited'}`);
+  }
+
+  if (digestWindow !== undefined) {
+    device.digestWindow = digestWindow || null;
+    devices.set(token, device);
+    saveDevices();
+
+    console.log(`[Bridge] Updated digest window for device: ${device.name} → ${device.digestWindow ? `${device.digestWindow}s` : 'off'}`);
+  }
+
+  if (endSummary !== undefined || summaryTemplates !== undefined) {
+    if (endSummary !== undefined) {
+      device.endSummary = endSummary;
+    }
+    if (summaryTemplates !== undefined) {
+      device.summaryTemplates = summaryTemplates && {
+        title: summaryTemplates.title.trim(),
+        body: summaryTemplates.body.trim(),
+      };
+    }
+    devices.set(token, device);
+    saveDevices();
+
+    console.log(`[Bridge] Updated review summaries for device: ${device.name} → ${device.endSummary ? 'on' : 'off'}${device.summaryTemplates ? ' (custom templates)' : ''}`);
+  }
+
+  res.json({
+    success: true,
+    message: 'Preferences updated successfully',
+    templates: device.templates,
+    filters: device.filters || DEFAULT_DEVICE_FILTERS,
+    maxPerMinute: device.maxPerMinute || null,
+    digestWindow: device.digestWindow || null,
+    endSummary: Boolean(device.endSummary),
+    summaryTemplates: device.summaryTemplates || notificationTemplates.DEFAULT_SUMMARY_TEMPLATES,
+  });
+});
+
+// Render templates with sample data so the app can show a preview before saving them
+// Body: { title, body, data } - both templates are optional (defaults), data overrides sample values
+app.post('/templates/preview', requireScope('device:self'), (req, res) => {
+  const { title = notificationTemplates.DEFAULT_TEMPLATES.title, body = notificationTemplates.DEFAULT_TEMPLATES.body, data = {} } = req.body;
+
+  if (typeof title !== 'string' || typeof body !== 'string') {
+    return res.status(400).json({ error: 'Template title and body must be strings' });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return res.status(400).json({ error: 'data must be an object of template variables' });
+  }
+  const unknown = Object.keys(data).filter(name => !notificationTemplates.VARIABLES[name]);
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown template variable(s): ${unknown.join(', ')}` });
+  }
+
+  const templateErrors = getTemplateErrors({ title, body });
+  if (templateErrors.length > 0) {
+    return res.status(400).json({ error: `Invalid template: ${templateErrors.join('; ')}`, errors: templateErrors });
+  }
+
+  const sample = { ...notificationTemplates.SAMPLE_DATA, ...data };
+  res.json({
+    title: notificationTemplates.render(title, sample),
+    body: notificationTemplates.render(body, sample),
+    data: sample,
+    variables: notificationTemplates.VARIABLES,
+    filters: Object.keys(notificationTemplates.FILTERS),
+  });
+});
+
+/**
+ * Validate and merge per-device filters from a preferences update
+ * Only the provided keys are changed; returns { filters } or { error }
+ */
+function normalizeDeviceFilters(input, current) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Filters must be an object' };
+  }
+
+  const filters = { ...DEFAULT_DEVICE_FILTERS, ...(current || {}) };
+
+  for (const key of ['cameras', 'labels', 'zones', 'subLabels', 'ignoreSubLabels']) {
+    if (input[key] === undefined) continue;
+    if (!Array.isArray(input[key]) || input[key].some(value => typeof value !== 'string')) {
+      return { error: `filters.${key} must be an array of strings` };
+    }
+    filters[key] = input[key].map(value => value.trim()).filter(Boolean);
+  }
+
+  if (input.severity !== undefined) {
+    if (!['alert', 'detection', 'all'].includes(input.severity)) {
+      return { error: 'filters.severity must be "alert", "detection", or "all"' };
+    }
+    filters.severity = input.severity;
+  }
+
+  return { filters };
+}
+
+// Check an imageDelivery value; returns an error message or null
+function validateImageDelivery(imageDelivery) {
+  if (!IMAGE_DELIVERY_MODES.includes(imageDelivery)) {
+    return `imageDelivery must be one of: ${IMAGE_DELIVERY_MODES.join(', ')}`;
+  }
+  if (imageDelivery === 'hosted' && !MEDIA_PUBLIC_URL) {
+    return 'imageDelivery "hosted" requires BRIDGE_PUBLIC_URL to be set on the bridge';
+  }
+  return null;
+}
+
+// Update device image mode (static or animated) and/or image delivery (link, inline or hosted)
+app.put('/devices/:token/image-mode', requireDeviceAccess, (req, res) => {
+  const { token } = req.params;
+  const { imageMode, imageDelivery } = req.body;
+  
+  // Find device by full token match
+  const device = devices.get(token);
+  
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+  
+  if (imageMode === undefined && imageDelivery === undefined) {
+    return res.status(400).json({ error: 'Provide imageMode and/or imageDelivery' });
+  }
+  
+  // Validate imageMode
+  if (imageMode !== undefined && imageMode !== 'static' && imageMode !== 'animated') {
+    return res.status(400).json({ error: 'imageMode must be either "static" or "animated"' });
+  }
+  
+  // Validate imageDelivery
+  if (imageDelivery !== undefined) {
+    const deliveryError = validateImageDelivery(imageDelivery);
+    if (deliveryError) {
+      return res.status(400).json({ error: deliveryError });
+    }
+  }
+  
+  // Update image settings
+  device.imageMode = imageMode || device.imageMode || 'static';
+  device.imageDelivery = imageDelivery || device.imageDelivery || 'link';
+  devices.set(token, device);
+  saveDevices();
+  
+  console.log(`[Bridge] Updated image settings for device: ${device.name} → ${device.imageMode}, ${device.imageDelivery}`);
+  
+  res.json({ 
+    success: true, 
+    message: 'Image mode updated successfully',
+    device: {
+      name: device.name,
+      imageMode: device.imageMode,
+      imageDelivery: device.imageDelivery,
+    },
+  });
+});
+
+// === SCHEDULE ENDPOINTS (QUIET HOURS) ===
+
+/**
+ * Validate a full list of schedules (used when replacing a list)
+ * Returns { schedules } or { error }
+ */
+function normalizeScheduleList(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'schedules must be an array' };
+  }
+
+  const schedules = [];
+  for (const item of input) {
+    const result = normalizeSchedule(item, typeof item?.id === 'string' ? { id: item.id } : {});
+    if (result.error) {
+      return result;
+    }
+    schedules.push(result.schedule);
+  }
+  return { schedules };
+}
+
+// Validate an optional timezone from a request body (undefined = unchanged, null = default)
+function validateTimezoneInput(timezone) {
+  if (timezone === undefined || timezone === null) {
+    return null;
+  }
+  if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  return null;
+}
+
+// Get a device's schedules and timezone
+app.get('/devices/:token/schedules', requireDeviceAccess, (req, res) => {
+  const device = devices.get(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  res.json({
+    timezone: device.timezone || null,
+    effectiveTimezone: resolveTimezone(device) || 'System default',
+    schedules: device.schedules || [],
+  });
+});
+
+// Replace a device's schedules and/or timezone
+app.put('/devices/:token/schedules', requireDeviceAccess, (req, res) => {
+  const device = devices.get(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  const { schedules, timezone } = req.body;
+
+  const timezoneError = validateTimezoneInput(timezone);
+  if (timezoneError) {
+    return res.status(400).json({ error: timezoneError });
+  }
+
+  let normalized = null;
+  if (schedules !== undefined) {
+    const result = normalizeScheduleList(schedules);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    normalized = result.schedules;
+  }
+
+  if (timezone !== undefined) {
+    device.timezone = timezone;
+  }
+  if (normalized) {
+    device.schedules = normalized;
+  }
+  devices.set(req.params.token, device);
+  saveDevices();
+
+  console.log(`[Bridge] Updated schedules for device: ${device.name} (${(device.schedules || []).length} schedule(s))`);
+
+  res.json({
+    success: true,
+    timezone: device.timezone || null,
+    schedules: device.schedules || [],
+  });
+});
+
+// Add a schedule to a device
+app.post('/devices/:token/schedules', requireDeviceAccess, (req, res) => {
+  const device = devices.get(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  const result = normalizeSchedule(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  device.schedules = [...(device.schedules || []), result.schedule];
+  devices.set(req.params.token, device);
+  saveDevices();
+
+  console.log(`[Bridge] Added schedule for device ${device.name}: ${result.schedule.start}-${result.schedule.end} (${result.schedule.action})`);
+
+  res.status(201).json({ success: true, schedule: result.schedule });
+});
+
+// Update one of a device's schedules
+app.put('/devices/:token/schedules/:id', requireDeviceAccess, (req, res) => {
+  const device = devices.get(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  const index = (device.schedules || []).findIndex(schedule => schedule.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const result = normalizeSchedule(req.body, device.schedules[index]);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  device.schedules[index] = result.schedule;
+  devices.set(req.params.token, device);
+  saveDevices();
+
+  res.json({ success: true, schedule: result.schedule });
+});
+
+// Remove one of a device's schedules
+app.delete('/devices/:token/schedules/:id', requireDeviceAccess, (req, res) => {
+  const device = devices.get(req.params.token);
+  if (!device) {
+    return res.status(404).json({ error: 'Device not found. Ensure you are registered first.' });
+  }
+
+  const remaining = (device.schedules || []).filter(schedule => schedule.id !== req.params.id);
+  if (remaining.length === (device.schedules || []).length) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  device.schedules = remaining;
+  devices.set(req.params.token, device);
+  saveDevices();
+
+  res.json({ success: true, message: 'Schedule removed successfully' });
+});
+
+// Get global schedules and bridge timezone
+app.get('/config/schedules', requireScope('config:read'), (req, res) => {
+  res.json({
+    timezone: bridgeConfig.timezone || null,
+    effectiveTimezone: resolveTimezone() || 'System default',
+    schedules: bridgeConfig.schedules || [],
+  });
+});
+
+// Replace global schedules and/or bridge timezone
+app.put('/config/schedules', requireAdmin, (req, res) => {
+  const { schedules, timezone } = req.body;
+
+  const timezoneError = validateTimezoneInput(timezone);
+  if (timezoneError) {
+    return res.status(400).json({ error: timezoneError });
+  }
+
+  let normalized = null;
+  if (schedules !== undefined) {
+    const result = normalizeScheduleList(schedules);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    normalized = result.schedules;
+  }
+
+  if (timezone !== undefined) {
+    bridgeConfig.timezone = timezone;
+  }
+  if (normalized) {
+    bridgeConfig.schedules = normalized;
+  }
+  saveConfig();
+
+  console.log(`[Bridge] Global schedules updated (${bridgeConfig.schedules.length} schedule(s), timezone: ${bridgeConfig.timezone || 'system default'})`);
+
+  res.json({
+    success: true,
+    timezone: bridgeConfig.timezone || null,
+    schedules: bridgeConfig.schedules,
+  });
+});
+
+// Add a global schedule
+app.post('/config/schedules', requireAdmin, (req, res) => {
+  const result = normalizeSchedule(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  bridgeConfig.schedules = [...(bridgeConfig.schedules || []), result.schedule];
+  saveConfig();
+
+  console.log(`[Bridge] Added global schedule: ${result.schedule.start}-${result.schedule.end} (${result.schedule.action})`);
+
+  res.status(201).json({ success: true, schedule: result.schedule });
+});
+
+// Update a global schedule
+app.put('/config/schedules/:id', requireAdmin, (req, res) => {
+  const index = (bridgeConfig.schedules || []).findIndex(schedule => schedule.id === req.params.id);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const result = normalizeSchedule(req.body, bridgeConfig.schedules[index]);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  bridgeConfig.schedules[index] = result.schedule;
+  saveConfig();
+
+  res.json({ success: true, schedule: result.schedule });
+});
+
+// Remove a global schedule
+app.delete('/config/schedules/:id', requireAdmin, (req, res) => {
+  const remaining = (bridgeConfig.schedules || []).filter(schedule => schedule.id !== req.params.id);
+  if (remaining.length === (bridgeConfig.schedules || []).length) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  bridgeConfig.schedules = remaining;
+  saveConfig();
+
+  res.json({ success: true, message: 'Schedule removed successfully' });
+});
+
+// === NOTIFICATION HISTORY ENDPOINTS ===
+
+const HISTORY_TOKEN_PREFIX = 30; // Shortest token prefix ?device= accepts (GET /devices shows 30 characters)
+
+// Query notification decisions and per-device delivery outcomes (newest first)
+// Filters: camera ("camera" or "instance/camera"), instance, device (exact name, or a token prefix of at
+// least HISTORY_TOKEN_PREFIX characters - what GET /devices shows - so a short value can't match every token),
+// since/until (ISO 8601 or Unix seconds), reviewId, decision, limit
+app.get('/history', requireAdmin, (req, res) => {
+  const { camera, instance, device, reviewId, decision } = req.query;
+  const since = parseHistoryTime(req.query.since);
+  const until = parseHistoryTime(req.query.until);
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+
+  if (since === undefined || until === undefined) {
+    return res.status(400).json({ error: 'since and until must be ISO 8601 dates or Unix timestamps' });
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  const tokenPrefix = device?.replace(/\.\.\.$/, '');
+  const matchesDevice = delivery => delivery.device.toLowerCase() === device.toLowerCase() ||
+    (tokenPrefix.length >= HISTORY_TOKEN_PREFIX && delivery.token.startsWith(tokenPrefix));
+
+  const matching = notificationHistory.filter(entry => {
+    const time = Date.parse(entry.time);
+    return (!camera || matchesCamera([camera], qualifyCamera(entry.camera, entry.instance))) &&
+      (!instance || (entry.instance || PRIMARY_INSTANCE) === instance) &&
+      (!reviewId || entry.reviewId === reviewId) &&
+      (!decision || entry.decision === decision) &&
+      (since === null || time >= since) &&
+      (until === null || time <= until) &&
+      (!device || entry.deliveries.some(matchesDevice));
+  });
+
+  const entries = matching.slice(-limit).reverse().map(entry => (device
+    ? { ...entry, deliveries: entry.deliveries.filter(matchesDevice) }
+    : entry));
+
+  res.json({
+    count: entries.length,
+    total: matching.length,
+    entries,
+  });
+});
+
+// === NOTIFICATION ACTION ENDPOINTS ===
+
+// Notification button callback: snooze_camera, mute_label or mark_reviewed
+// Body: { token, instance, camera, label, reviewId, expires, sig } from the notification's action
+// descriptor (requests with the admin key need no signature)
+app.post('/actions/:action', async (req, res) => {
+  const { action } = req.params;
+  if (!NOTIFICATION_ACTIONS.includes(action)) {
+    return res.status(404).json({ error: `Unknown action. Supported: ${NOTIFICATION_ACTIONS.join(', ')}` });
+  }
+
+  const { token = null, instance: instanceName = PRIMARY_INSTANCE, camera, label = '', reviewId } = req.body;
+  if (getCredential(req)?.role !== 'admin') {
+    const error = verifyActionSignature({ ...req.body, instance: instanceName, label });
+    if (error) {
+      return res.status(403).json({ error });
+    }
+  }
+
+  const instance = getFrigateInstance(instanceName);
+  if (!instance) {
+    return res.status(404).json({ error: `Unknown Frigate instance: ${instanceName}` });
+  }
+  if (token && !devices.has(token)) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  if (action === 'snooze_camera' && !camera) {
+    return res.status(400).json({ error: 'camera is required' });
+  }
+  if (action === 'mute_label' && !label) {
+    return res.status(400).json({ error: 'label is required' });
+  }
+  if (action === 'mark_reviewed' && !reviewId) {
+    return res.status(400).json({ error: 'reviewId is required' });
+  }
+
+  const outcome = {
+    action,
+    device: token ? devices.get(token).name : 'admin',
+    time: new Date().toISOString(),
+  };
+
+  try {
+    if (action === 'mark_reviewed') {
+      await markReviewViewed(instance, reviewId);
+    } else {
+      // Snoozes from a notification button only silence the device that pressed it
+      const snooze = action === 'snooze_camera'
+        ? addSnooze({ camera: qualifyCamera(camera, instance.name), device: token, until: Date.now() + config.actions.snoozeMinutes * 60000, source: 'action' })
+        : addSnooze({ label, device: token, until: Date.now() + config.actions.muteMinutes * 60000, source: 'action' });
+      outcome.snoozeId = snooze.id;
+      outcome.until = snooze.until;
+    }
+    outcome.result = 'ok';
+  } catch (err) {
+    outcome.result = 'failed';
+    outcome.error = err.response?.status ? `HTTP ${err.response.status}` : err.message;
+  }
+
+  recordHistoryAction(reviewId, instance.name, outcome);
+  metrics.actions.inc({ action, result: outcome.result });
+  console.log(`[Action] ${action} from ${outcome.device} (review ${reviewId || 'none'}): ${outcome.result}${outcome.error ? ` - ${outcome.error}` : ''}`);
+
+  if (outcome.result === 'failed') {
+    return res.status(502).json({ error: `Could not mark review as viewed: ${outcome.error}` });
+  }
+  res.json({ success: true, ...outcome });
+});
+
+// === SNOOZE ENDPOINTS ===
+
+// Resolve a push token or device name (case-insensitive) to a registered push token
+function findDeviceToken(value) {
+  if (devices.has(value)) {
+    return value;
+  }
+  const matches = Array.from(devices.values()).filter(device => device.name.toLowerCase() === String(value).toLowerCase());
+  return matches.length === 1 ? matches[0].token : null;
+}
+
+// List active snoozes (?device=<token or name> → snoozes that apply to that device)
+// Devices only see the snoozes that apply to themselves
+app.get('/snooze', requireScope('snooze:self'), (req, res) => {
+  const device = req.credential.role === 'device'
+    ? req.credential.token
+    : req.query.device && findDeviceToken(req.query.device);
+  if (req.query.device && !device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+  const active = getActiveSnoozes().filter(snooze => !device || !snooze.device || snooze.device === device);
+  res.json({
+    count: active.length,
+    snoozes: active.map(redactSnooze),
+  });
+});
+
+// Snooze a camera and/or label
+// Body: { camera, label, device (push token or name, omit for all devices), minutes or until (ISO 8601) }
+// Devices can only snooze for themselves
+app.post('/snooze', requireScope('snooze:self'), (req, res) => {
+  const { camera = null, label = null, minutes, until } = req.body;
+  const device = req.body.device ? findDeviceToken(req.body.device) : null;
+  
+  if (req.credential.role === 'device' && device !== req.credential.token) {
+    return res.status(403).json({ error: 'Forbidden: devices can only snooze for themselves (set device to your push token)' });
+  }
+
+  if (!camera && !label) {
+    return res.status(400).json({ error: 'camera and/or label is required' });
+  }
+  if ((camera !== null && typeof camera !== 'string') || (label !== null && typeof label !== 'string')) {
+    return res.status(400).json({ error: 'camera and label must be strings' });
+  }
+  if (req.body.device && !device) {
+    return res.status(404).json({ error: 'Device not found' });
+  }
+
+  let expiresAt;
+  if (until !== undefined) {
+    expiresAt = Date.parse(until);
+    if (Number.isNaN(expiresAt) || expiresAt <= Date.now()) {
+      return res.status(400).json({ error: 'until must be an ISO 8601 date in the future' });
+    }
+  } else if (typeof minutes === 'number' && minutes > 0) {
+    expiresAt = Date.now() + minutes * 60000;
+  } else {
+    return res.status(400).json({ error: 'minutes (positive number) or until is required' });
+  }
+
+  const snooze = addSnooze({ camera, label, device, until: expiresAt, source: 'api' });
+  res.json({ success: true, snooze: redactSnooze(snooze) });
+});
+
+// End a snooze early
+app.delete('/snooze/:id', requireScope('snooze:self'), (req, res) => {
+  const snooze = getActiveSnoozes().find(item => item.id === req.params.id);
+  if (!snooze) {
+    return res.status(404).json({ error: 'Snooze not found' });
+  }
+  if (!isOwnDevice(req.credential, snooze.device)) {
+    return res.status(403).json({ error: 'Forbidden: devices can only remove their own snoozes' });
+  }
+
+  snoozes = snoozes.filter(item => item.id !== snooze.id);
+  saveSnoozes();
+  console.log(`[Snooze] Removed snooze ${snooze.id} (${[snooze.camera, snooze.label].filter(Boolean).join(' / ')})`);
+  res.json({ success: true, snooze: redactSnooze(snooze) });
+});
+
+// === CONFIGURATION MANAGEMENT ENDPOINTS ===
+
+// Get current bridge configuration
+app.get('/config', requireScope('config:read'), (req, res) => {
+  res.json({
+    frigateJwtToken: bridgeConfig.frigateJwtToken ? '***configured***' : null,
+    externalFrigateUrl: getFrigateInstance(PRIMARY_INSTANCE).externalUrl,
+    notifications: getNotificationSettings(),
+    timezone: bridgeConfig.timezone || null,
+    schedules: bridgeConfig.schedules || [],
+    instances: getFrigateInstances().map(redactInstance),
+  });
+});
+
+// Update Frigate JWT token (sent from mobile app)
+// Optional `instance` selects an additional Frigate instance (default: primary)
+app.post('/config/frigate-token', requireScope('frigate-token:write'), (req, res) => {
+  const { token, externalUrl, instance = PRIMARY_INSTANCE } = req.body;
+  
+  if (!token || typeof token !== 'string' || token.length < 20) {
+    return res.status(400).json({ error: 'Invalid JWT token format' });
+  }
+  
+  if (instance !== PRIMARY_INSTANCE && !bridgeConfig.instances?.[instance]) {
+    return res.status(404).json({ error: `Unknown Frigate instance: ${instance}` });
+  }
+  
+  if (instance === PRIMARY_INSTANCE) {
+    bridgeConfig.frigateJwtToken = token;
+    if (externalUrl) {
+      bridgeConfig.externalFrigateUrl = externalUrl;
+    }
+  } else {
+    bridgeConfig.instances[instance].jwtToken = token;
+    if (externalUrl) {
+      bridgeConfig.instances[instance].externalUrl = externalUrl;
+    }
+  }
+  
+  saveConfig();
+  
+  console.log(`[Bridge] Frigate JWT token updated for ${instance}: ${token.substring(0, 20)}...`);
+  if (externalUrl) {
+    console.log(`[Bridge] External Frigate URL updated for ${instance}: ${externalUrl}`);
+  }
+  
+  const expiry = getTokenExpiry(getFrigateInstance(instance));
+  if (expiry.expired) {
+    console.warn(`[Token] ⚠️  Received Frigate token for ${instance} has already expired (${expiry.expiresAt})`);
+    checkFrigateTokens(); // Refreshes it right away if credentials are configured
+  }
+  
+  res.json({ 
+    success: true, 
+    message: 'Frigate configuration updated successfully',
+    configured: true,
+    expiresAt: expiry.expiresAt || null,
+  });
+});
+
+// Get Frigate token status (?instance=name for an additional instance)
+// Includes the decoded expiry and a live check against the internal Frigate URL
+app.get('/config/frigate-token', requireScope('config:read'), async (req, res) => {
+  const instance = getFrigateInstance(req.query.instance || PRIMARY_INSTANCE);
+  if (!instance) {
+    return res.status(404).json({ error: `Unknown Frigate instance: ${req.query.instance}` });
+  }
+  
+  const { configured, ...expiry } = getTokenExpiry(instance);
+  const state = tokenState.get(instance.name) || {};
+  
+  res.json({
+    instance: instance.name,
+    configured,
+    externalFrigateUrl: instance.externalUrl,
+    ...expiry,
+    probe: await probeFrigateToken(instance),
+    autoRefresh: !!getFrigateCredentials(instance),
+    lastRefreshAt: state.lastRefreshAt || null,
+    lastRefreshError: state.lastRefreshError || null,
+  });
+});
+
+// === FRIGATE INSTANCE ENDPOINTS ===
+
+// List Frigate instances (primary first)
+app.get('/config/instances', requireScope('config:read'), (req, res) => {
+  res.json({
+    primary: PRIMARY_INSTANCE,
+    instances: getFrigateInstances().map(redactInstance),
+  });
+});
+
+// Add or update an additional Frigate instance
+app.put('/config/instances/:name', requireAdmin, (req, res) => {
+  const { name } = req.params;
+
+  if (name === PRIMARY_INSTANCE) {
+    return res.status(400).json({
+      error: 'The primary instance is configured with MQTT_TOPIC, FRIGATE_URL and POST /config/frigate-token',
+    });
+  }
+  if (!INSTANCE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({ error: 'Instance name must be 1-32 lowercase letters, numbers, "-" or "_"' });
+  }
+
+  const existing = bridgeConfig.instances?.[name];
+  const result = normalizeInstance(name, req.body, existing);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  const previousTopic = existing && getFrigateInstance(name).topic;
+  bridgeConfig.instances = { ...bridgeConfig.instances, [name]: result.instance };
+  saveConfig();
+  updateInstanceSubscription(previousTopic, getFrigateInstance(name).topic);
+
+  console.log(`[Bridge] Frigate instance ${existing ? 'updated' : 'added'}: ${name} (${result.instance.topicPrefix})`);
+
+  res.json({ success: true, instance: redactInstance(getFrigateInstance(name)) });
+});
+
+// Remove an additional Frigate instance
+app.delete('/config/instances/:name', requireAdmin, (req, res) => {
+  const { name } = req.params;
+
+  if (name === PRIMARY_INSTANCE) {
+    return res.status(400).json({ error: 'The primary instance cannot be removed' });
+  }
+  const instance = getFrigateInstance(name);
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+
+  delete bridgeConfig.instances[name];
+  saveConfig();
+  updateInstanceSubscription(instance.topic, null);
+
+  console.log(`[Bridge] Frigate instance removed: ${name}`);
+
+  res.json({ success: true, message: 'Instance removed successfully' });
+});
+
+// Update notification filters
+// These override the config file / environment until cleared with null (e.g. {"cooldown": null})
+app.put('/config/notifications', requireAdmin, (req, res) => {
+  const { zoneFilters } = req.body;
+  
+  // Validate everything first so a bad request changes nothing
+  const updates = {};
+  for (const key of ['cooldown', 'cameraCooldown']) {
+    const value = req.body[key];
+    if (value === undefined || value === null) {
+      updates[key] = value;
+    } else if (!Number.isInteger(Number(value)) || Number(value) < 0 || value === '') {
+      return res.status(400).json({ error: `${key} must be a whole number of seconds (0 or more)` });
+    } else {
+      updates[key] = Number(value);
+    }
+  }
+  for (const key of ['filterLabels', 'filterCameras', 'filterSubLabels', 'ignoreSubLabels']) {
+    const value = req.body[key];
+    updates[key] = value === undefined || value === null ? value : (Array.isArray(value) ? value.filter(Boolean) : []);
+  }
+  
+  let normalizedZoneFilters = null;
+  if (zoneFilters !== undefined) {
+    const result = normalizeZoneFilters(zoneFilters);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    normalizedZoneFilters = result.zoneFilters;
+  }
+  
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === null) {
+      delete bridgeConfig.notifications[key]; // Back to the config file / environment value
+    } else if (value !== undefined) {
+      bridgeConfig.notifications[key] = value;
+    }
+  }
+  
+  if (normalizedZoneFilters) {
+    bridgeConfig.notifications.zoneFilters = normalizedZoneFilters;
+  }
+  
+  saveConfig();
+  
+  console.log(`[Bridge] Notification filters updated:`, getNotificationSettings());
+  
+  res.json({ 
+    success: true, 
+    message: 'Notification filters updated successfully',
+    notifications: getNotificationSettings(),
+  });
+});
+
+// Get notification filters (in effect - API changes over the config file / environment)
+app.get('/config/notifications', requireScope('config:read'), (req, res) => {
+  res.json(getNotificationSettings());
+});
+
+// Settings from the config file and environment, with the source of each value (secrets redacted)
+app.get('/config/settings', requireAdmin, (req, res) => {
+  res.json({
+    file: settings.file,
+    settings: settings.describe(),
+    apiOverrides: Object.keys(bridgeConfig.notifications).filter(key => key !== 'zoneFilters').map(key => `notifications.${key}`),
+  });
+});
+
+// Re-read the config file (also happens automatically when it changes)
+app.post('/config/reload', requireAdmin, (req, res) => {
+  const result = settings.reload();
+  if (result.errors) {
+    return res.status(400).json({ error: 'Invalid configuration - current settings kept', errors: result.errors });
+  }
+  res.json({ success: true, file: settings.file, ...result });
+});
+
+/**
+ * Validate per-camera zone filters from the API
+ * Input: { camera: { required: [...], excluded: [...] } } - replaces the whole map
+ * Returns { zoneFilters } or { error }
+ */
+function normalizeZoneFilters(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'zoneFilters must be an object keyed by camera name' };
+  }
+
+  const zoneFilters = {};
+  for (const [camera, rule] of Object.entries(input)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return { error: `zoneFilters.${camera} must be an object with required/excluded arrays` };
+    }
+
+    const normalized = {};
+    for (const key of ['required', 'excluded']) {
+      const zones = rule[key] || [];
+      if (!Array.isArray(zones) || zones.some(zone => typeof zone !== 'string')) {
+        return { error: `zoneFilters.${camera}.${key} must be an array of zone names` };
+      }
+      normalized[key] = zones.map(zone => zone.trim()).filter(Boolean);
+    }
+
+    if (normalized.required.length > 0 || normalized.excluded.length > 0) {
+      zoneFilters[camera] = normalized;
+    }
+  }
+
+  return { zoneFilters };
+}
+
+// === AUTO-REGISTRATION WITH NOTIFICATION PROXY ===
+
+/**
+ * Generate unique bridge identifier based on machine fingerprint
+ * Uses MAC address + hostname for consistent ID across restarts
+ */
+function generateBridgeId() {
+  const os = require('os');
+  const crypto = require('crypto');
+  const networkInterfaces = os.networkInterfaces();
+  let macAddress = '';
+  
+  // Get first non-internal MAC address
+  for (const iface of Object.values(networkInterfaces)) {
+    for (const addr of iface) {
+      if (!addr.internal && addr.mac && addr.mac !== '00:00:00:00:00:00') {
+        macAddress = addr.mac;
+        break;
+      }
+    }
+    if (macAddress) break;
+  }
+  
+  // Fallback to random UUID if no MAC found
+  if (!macAddress) {
+    console.log('[Bridge] No MAC address found, using random UUID');
+    return crypto.randomUUID();
+  }
+  
+  // Hash MAC + hostname for privacy (don't expose raw MAC address)
+  const fingerprint = `${macAddress}-${os.hostname()}`;
+  const bridgeId = crypto.createHash('sha256').update(fingerprint).digest('hex').substring(0, 32);
+  
+  return bridgeId;
+}
+
+/**
+ * Auto-register bridge with notification proxy on first run
+ * Returns API key for authenticated notification sending
+ */
+async function ensureApiKey() {
+  const os = require('os');
+  
+  // If API key provided via environment variable, use it
+  if (config.proxy.token) {
+    console.log('[Proxy] Using API key from configuration');
+    return config.proxy.token;
+  }
+  
+  // Check if we already have an API key
+  if (fs.existsSync(API_KEY_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(API_KEY_FILE, 'utf8'));
+      console.log('[Proxy] Using existing API key');
+      console.log('[Proxy] Bridge ID:', data.bridgeId);
+      console.log('[Proxy] Registered:', new Date(data.registeredAt).toLocaleString());
+      if (data.userEmail) {
+        console.log('[Proxy] Linked to account:', data.userEmail);
+      } else {
+        console.log('[Proxy] Anonymous mode (100 notifications/day limit)');
+        console.log('[Proxy] To upgrade: Visit https://notify.aviant.app/link?key=' + data.apiKey.substring(0, 16) + '...');
+      }
+      return data.apiKey;
+    } catch (error) {
+      console.error('[Proxy] Error reading API key file:', error.message);
+      console.log('[Proxy] Will re-register...');
+    }
+  }
+  
+  // First run - register with proxy
+  console.log('');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('  FIRST RUN DETECTED - Registering with notification proxy');
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('');
+  
+  const bridgeId = generateBridgeId();
+  
+  try {
+    console.log('[Proxy] Contacting notification proxy:', NOTIFICATION_PROXY_BASE_URL);
+    console.log('[Proxy] Bridge ID:', bridgeId);
+    
+    const response = await axios.post(
+      `${NOTIFICATION_PROXY_BASE_URL}/register-bridge`,
+      {
+        bridgeId: bridgeId,
+        hostname: os.hostname(),
+        platform: os.platform(),
+        arch: os.arch(),
+        version: version,
+      },
+      { 
+        timeout: 15000,
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
+    
+    const apiKey = response.data.apiKey;
+    const isExisting = response.data.message?.includes('existing');
+    
+    // Save API key locally
+    const keyData = {
+      apiKey: apiKey,
+      bridgeId: bridgeId,
+      registeredAt: new Date().toISOString(),
+      hostname: os.hostname(),
+      platform: os.platform(),
+    };
+    
+    storage.writeJsonFile(API_KEY_FILE, keyData);
+    
+    console.log('');
+    console.log('╔═══════════════════════════════════════════════════════════╗');
+    console.log('║         REGISTRATION SUCCESSFUL                        ║');
+    console.log('╚═══════════════════════════════════════════════════════════╝');
+    console.log('');
+    if (isExisting) {
+      console.log('  This bridge was already registered. Using existing API key.');
+    } else {
+      console.log('  Your bridge is now registered with the notification proxy!');
+    }
+    console.log('');
+    console.log('  Your API Key:');
+    console.log('  ┌─────────────────────────────────────────────────────────┐');
+    console.log(`  │ ${apiKey} │`);
+    console.log('  └─────────────────────────────────────────────────────────┘');
+    console.log('');
+    console.log('  This key is saved in:', API_KEY_FILE);
+    console.log('  Anonymous mode: 100 notifications/day');
+    console.log('  To link to an account (optional):');
+    console.log(`  Visit: https://notify.aviant.app/link?key=${apiKey.substring(0, 16)}...`);
+    console.log('');
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('');
+    
+    return apiKey;
+    
+  } catch (error) {
+    console.error('');
+    console.error('╔═══════════════════════════════════════════════════════════╗');
+    console.error('║         REGISTRATION FAILED                            ║');
+    console.error('╚═══════════════════════════════════════════════════════════╝');
+    console.error('');
+    console.error('  Error:', error.message);
+    if (error.response) {
+      console.error('  Status:', error.response.status);
+      console.error('  Details:', error.response.data);
+    }
+    console.error('');
+    console.error('  Notifications will NOT work until registration succeeds.');
+    console.error('  Please check:');
+    console.error('  1. Internet connection is working');
+    console.error('  2. Notification proxy is online:', NOTIFICATION_PROXY_BASE_URL);
+    console.error('  3. No firewall blocking outbound HTTPS');
+    console.error('');
+    console.error('  You can manually set an API key with:');
+    console.error('  NOTIFICATION_PROXY_TOKEN=your-key-here');
+    console.error('');
+    console.error('═══════════════════════════════════════════════════════════');
+    console.error('');
+    return null;
+  }
+}
+
+// === STARTUP SEQUENCE ===
+
+(async function startBridge() {
+  // Step 1: Register with notification proxy and get API key (not needed in direct FCM mode)
+  if (fcmAvailable) {
+    console.log('[Bridge] Step 1: Direct FCM mode - skipping notification proxy registration');
+  } else {
+    console.log('[Bridge] Step 1: Registering with notification proxy...');
+    NOTIFICATION_PROXY_TOKEN = await ensureApiKey();
+    
+    if (!NOTIFICATION_PROXY_TOKEN) {
+      console.error('[Bridge] Starting without notification proxy access');
+      console.error('[Bridge] Push notifications will NOT work');
+    } else {
+      console.log('[Bridge] Notification proxy ready');
+    }
+  }
+  
+  // Step 2: Start Express server
+  console.log('[Bridge] Step 2: Starting HTTP server...');
+  app.listen(config.bridge.port, () => {
+    console.log(`[Bridge] HTTP server listening on port ${config.bridge.port}`);
+    console.log(`[Bridge] Health check: http://localhost:${config.bridge.port}/health`);
+  });
+
+  // Step 3: Connect to MQTT
+  console.log('[Bridge] Step 3: Connecting to MQTT...');
+  console.log(`[MQTT] Connecting to ${config.mqtt.host}...`);
+})();
+
+// MQTT Client (initialized after registration)
+const client = mqtt.connect(config.mqtt.host, {
+  username: config.mqtt.username,
+  password: config.mqtt.password,
+  reconnectPeriod: 5000,
+  connectTimeout: 10000,
+});
+
+client.on('connect', () => {
+  console.log('[MQTT] Connected to broker');
+  stats.mqttConnected = true;
+  
+  // Subscribe to configured MQTT topic (frigate/reviews by default), plus one per additional Frigate instance
+  for (const instance of getFrigateInstances()) {
+    client.subscribe(instance.topic, (err) => {
+      if (err) {
+        console.error('[MQTT] Subscription error:', err);
+      } else {
+        console.log(`[MQTT] Subscribed to topic: ${instance.topic}${instance.primary ? '' : ` (instance: ${instance.name})`}`);
+      }
+    });
+  }
+  
+  // Log recommendation if using old events topic
+  if (TOPIC_SUFFIX === 'events') {
+    console.log('[MQTT] Using frigate/events topic. Consider switching to frigate/reviews for better notification management.');
+  }
+});
+
+// Follow instance changes made through the API without reconnecting
+function updateInstanceSubscription(previousTopic, topic) {
+  if (previousTopic === topic || !client.connected) {
+    return;
+  }
+  if (previousTopic) {
+    client.unsubscribe(previousTopic);
+    console.log(`[MQTT] Unsubscribed from topic: ${previousTopic}`);
+  }
+  if (topic) {
+    client.subscribe(topic, (err) => {
+      if (err) {
+        console.error('[MQTT] Subscription error:', err);
+      } else {
+        console.log(`[MQTT] Subscribed to topic: ${topic}`);
+      }
+    });
+  }
+}
+
+client.on('error', (err) => {
+  console.error('[MQTT] Connection error:', err.message);
+  stats.mqttConnected = false;
+});
+
+client.on('close', () => {
+  console.log('[MQTT] Connection closed');
+  stats.mqttConnected = false;
+});
+
+client.on('reconnect', () => {
+  console.log('[MQTT] Reconnecting...');
+  metrics.mqttReconnects.inc();
+});
+
+client.on('message', async (topic, message) => {
+  try {
+    const payload = JSON.parse(message.toString());
+    const instance = getInstanceForTopic(topic);
+    stats.eventsReceived++;
+    stats.lastEventTime = new Date().toISOString();
+    metrics.eventsReceived.inc({
+      topic,
+      camera: payload.after?.camera || payload.camera || 'unknown',
+      severity: payload.after?.severity || payload.severity || 'none',
+    });
+    
+    // Detect if this is a review or event message
+    const isReview = topic.includes('reviews') || payload.severity !== undefined;
+    
+    if (isReview) {
+      // Process frigate/reviews message (recommended)
+      await processReviewMessage(payload, instance);
+    } else {
+      // Process legacy frigate/events message (backwards compatibility)
+      await processEventMessage(payload, instance);
+    }
+    
+  } catch (err) {
+    console.error('[MQTT] Error processing message:', err.message);
+  }
+});
+
+// Process frigate/reviews message (new format)
+async function processReviewMessage(review, instance = getFrigateInstance(PRIMARY_INSTANCE)) {
   // NOTIFICATION STRATEGY (ALERT-ONLY WITH PROGRESSIVE ENHANCEMENT):
   // 
   // Review lifecycle:
@@ -844,339 +3102,1574 @@ async function processReviewMessage(review) {
   const thumbPath = review.after?.thumb_path || review.thumb_path;
   const messageType = review.type;
   const camera = review.after?.camera || review.camera;
+  const cameraId = qualifyCamera(camera, instance.name); // For filters, schedules and cooldowns
   const startTime = review.after?.start_time || review.start_time;
   const objects = review.after?.data?.objects || review.data?.objects || [];
   const zones = review.after?.data?.zones || review.data?.zones || [];
   const detections = review.after?.data?.detections || review.data?.detections || [];
+  const subLabels = normalizeSubLabels(review.after?.data?.sub_labels || review.data?.sub_labels);
+  const endTime = review.after?.end_time || review.end_time || null;
   
   // Get tracking data
   const tracking = sentNotifications.get(reviewId);
+
+  // Global notification schedules (quiet hours); per-device schedules are checked during fan-out
+  const scheduleResult = evaluateSchedules(bridgeConfig.schedules, cameraId, objects, resolveTimezone());
+  const scheduleMuted = scheduleResult.action === 'mute';
+  const downgraded = scheduleResult.action === 'downgrade';
+  const scheduleName = scheduleResult.schedule && (scheduleResult.schedule.name || scheduleResult.schedule.id);
+  
+  // Global snoozes (POST /snooze) silence matching alerts like a muting schedule
+  const snooze = findSnooze(null, cameraId, objects);
+  
+  // Record an alert decision in the notification history
+  const recordDecision = (decision, reason = null) => recordHistory({
+    reviewId,
+    instance: instance.name,
+    camera,
+    objects,
+    subLabels,
+    severity,
+    decision,
+    reason,
+  });
+  
+  // Check camera and camera + label cooldowns for a new notification (logs and counts suppressions)
+  const isCoolingDown = () => {
+    const reason = checkReviewCooldown(cameraId, objects);
+    if (reason) {
+      console.log(`[Cooldown] Skipping notification for ${reviewId} (cooldown active: ${reason})`);
+      stats.suppressed.cooldown++;
+      recordDecision('cooldown', `cooldown active: ${reason}`);
+      return true;
+    }
+    return false;
+  };
   
   // === HANDLE 'NEW' MESSAGES ===
   if (messageType === 'new') {
     
     // Apply filters before processing
-    if (!applyReviewFilters(severity, camera, objects)) {
-      // Still track even if filtered (might escalate later)
-      if (severity === 'detection') {
+    const filterReason = getReviewFilterReason(severity, cameraId, objects, zones, subLabels, detections.length);
+    if (filterReason) {
+      if (severity === 'alert') {
+        recordDecision('filtered', filterReason);
+      }
+      // Still track even if filtered (might escalate, or pass the filters after an update)
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: false,
+        ...(severity === 'alert' && { filterReason }), // Recorded once; updates are checked again (see SCENARIO 1)
+      });
+      return;
+    }
+    
+    if (severity === 'alert' && scheduleMuted) {
+      // ALERT during quiet hours - track without notifying
+      console.log(`[Schedule] Alert ${reviewId} on ${camera} muted by schedule "${scheduleName}"`);
+      recordDecision('muted', `schedule "${scheduleName}"`);
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: false,
+      });
+      return;
+    }
+    
+    if (severity === 'alert' && snooze) {
+      // ALERT while snoozed - track without notifying
+      console.log(`[Snooze] Alert ${reviewId} on ${camera} ${describeSnooze(snooze)}`);
+      recordDecision('snoozed', describeSnooze(snooze));
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: false,
+      });
+      return;
+    }
+    
+    if (severity === 'alert' && isCoolingDown()) {
+      // ALERT during cooldown - track without notifying
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: false,
+      });
+      return;
+    }
+    
+    if (severity === 'alert') {
+      // ALERT - Send notification immediately
+      console.log(`[New Alert] Sending instant notification for ${reviewId}`);
+      console.log(`[Review] ${severity.toUpperCase()} on ${camera}: ${objects.join(', ')}`);
+      console.log(`[Review] thumb_path: ${thumbPath ? 'EXISTS' : 'MISSING'}`);
+      
+      const notifiedTokens = await sendReviewNotification({
+        reviewId,
+        camera,
+        instance,
+        severity,
+        objects,
+        subLabels,
+        zones,
+        detections,
+        thumbPath,
+        startTime,
+        endTime,
+        isImageUpdate: false,
+        downgraded,
+        historyEntry: recordDecision('sent', downgraded ? `downgraded by schedule "${scheduleName}"` : null),
+      });
+      
+      recordReviewCooldown(cameraId, objects);
+      
+      // Track as notified
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: true,
+        notifiedTokens,
+      });
+      
+    } else {
+      // DETECTION - Track silently (might escalate to alert later)
+      console.log(`[New Detection] Tracking ${reviewId} silently on ${camera}: ${objects.join(', ')} (no notification)`);
+      
+      sentNotifications.set(reviewId, {
+        severity,
+        thumbPath,
+        timestamp: Date.now(),
+        notificationSent: false,
+      });
+    }
+    
+    return;
+  }
+  
+  // === HANDLE 'UPDATE' MESSAGES ===
+  if (messageType === 'update') {
+    
+    // If no tracking, this is an orphaned update (shouldn't happen, but handle it)
+    if (!tracking) {
+      if (severity !== 'alert') {
+        return;
+      }
+      // Tracked either way, so later updates for the review don't record the same decision again
+      const untracked = { severity, thumbPath, timestamp: Date.now(), notificationSent: false };
+      const filterReason = getReviewFilterReason(severity, cameraId, objects, zones, subLabels, detections.length);
+      if (filterReason) {
+        recordDecision('filtered', filterReason);
+        sentNotifications.set(reviewId, { ...untracked, filterReason });
+      } else if (scheduleMuted) {
+        recordDecision('muted', `schedule "${scheduleName}"`);
+        sentNotifications.set(reviewId, untracked);
+      } else if (snooze) {
+        recordDecision('snoozed', describeSnooze(snooze));
+        sentNotifications.set(reviewId, untracked);
+      } else if (isCoolingDown()) {
+        sentNotifications.set(reviewId, untracked);
+      } else {
+        console.log(`[Update] No tracking found for ${reviewId}, treating as new alert`);
+        const notifiedTokens = await sendReviewNotification({
+          reviewId,
+          camera,
+          instance,
+          severity,
+          objects,
+          subLabels,
+          zones,
+          detections,
+          thumbPath,
+          startTime,
+          endTime,
+          isImageUpdate: false,
+          downgraded,
+          historyEntry: recordDecision('sent', downgraded ? `downgraded by schedule "${scheduleName}"` : null),
+        });
+        recordReviewCooldown(cameraId, objects);
         sentNotifications.set(reviewId, {
           severity,
           thumbPath,
           timestamp: Date.now(),
-          notificationSent: false,
+          notificationSent: true,
+          notifiedTokens,
         });
       }
       return;
     }
     
-    if (severity === 'alert') {
-      // ALERT - Send notification immediately
-      console.log(`[New Alert] Sending instant notification for ${reviewId}`);
+    const severityChanged = tracking.severity !== severity;
+    const imageChanged = tracking.thumbPath !== thumbPath;
+    
+    // --- SCENARIO 1: SEVERITY ESCALATION (detection → alert, or a filtered alert) ---
+    // A filtered alert is checked again on every update (e.g. the object has now entered a required
+    // zone), but 'filtered' is only recorded again when the reason changes
+    if ((severityChanged || tracking.filterReason) && severity === 'alert') {
+      const filterReason = getReviewFilterReason(severity, cameraId, objects, zones, subLabels, detections.length);
+      if (filterReason) {
+        if (filterReason !== tracking.filterReason) {
+          console.log(`[Escalation] ${reviewId} ${severityChanged ? 'escalated to alert but' : 'still'} filtered out`);
+          recordDecision('filtered', filterReason);
+        }
+        tracking.severity = severity;
+        tracking.filterReason = filterReason;
+        return;
+      }
+      tracking.filterReason = null;
+      
+      if (scheduleMuted) {
+        console.log(`[Escalation] ${reviewId} escalated to alert but muted by schedule "${scheduleName}"`);
+        recordDecision('muted', `schedule "${scheduleName}"`);
+        tracking.severity = severity;
+        return;
+      }
+      
+      if (snooze) {
+        console.log(`[Escalation] ${reviewId} escalated to alert but ${describeSnooze(snooze)}`);
+        recordDecision('snoozed', describeSnooze(snooze));
+        tracking.severity = severity;
+        return;
+      }
+      
+      if (isCoolingDown()) {
+        tracking.severity = severity;
+        return;
+      }
+      
+      console.log(`[Escalation] ${reviewId} ${severityChanged ? 'escalated detection→alert' : 'now passes the filters'}, sending notification`);
       console.log(`[Review] ${severity.toUpperCase()} on ${camera}: ${objects.join(', ')}`);
-      console.log(`[Review] thumb_path: ${thumbPath ? 'EXISTS' : 'MISSING'}`);
       
-      await sendReviewNotification({
+      const notifiedTokens = await sendReviewNotification({
         reviewId,
         camera,
+        instance,
         severity,
         objects,
+        subLabels,
         zones,
         detections,
         thumbPath,
         startTime,
+        endTime,
         isImageUpdate: false,
+        downgraded,
+        historyEntry: recordDecision('sent', downgraded ? `downgraded by schedule "${scheduleName}"` : null),
       });
       
-      // Track as notified
-      sentNotifications.set(reviewId, {
-        severity,
-        thumbPath,
-        timestamp: Date.now(),
-        notificationSent: true,
-      });
+      recordReviewCooldown(cameraId, objects);
       
-    } else {
-      // DETECTION - Track silently (might escalate to alert later)
-      console.log(`[New Detection] Tracking ${reviewId} silently on ${camera}: ${objects.join(', ')} (no notification)`);
+      tracking.severity = severity;
+      tracking.thumbPath = thumbPath;
+      tracking.timestamp = Date.now();
+      tracking.notificationSent = true;
+      tracking.notifiedTokens = notifiedTokens;
+      return;
+    }
+    
+    // --- SCENARIO 2: IMAGE IMPROVEMENT (alert level only) ---
+    if (tracking.notificationSent && imageChanged && severity === 'alert' && !scheduleMuted && !snooze) {
+      console.log(`[Image Update] Enhancing notification image for ${reviewId}`);
+      console.log(`[Review] Better thumbnail available for ${camera}`);
       
-      sentNotifications.set(reviewId, {
+      await sendReviewNotification({
+        reviewId,
+        camera,
+        instance,
         severity,
+        objects,
+        subLabels,
+        zones,
+        detections,
         thumbPath,
-        timestamp: Date.now(),
-        notificationSent: false,
+        startTime,
+        endTime,
+        isImageUpdate: true, // Flag for image-only update
+        downgraded,
+        onlyTokens: tracking.notifiedTokens, // Only replace notifications that were actually delivered
+        historyEntry: recordDecision('image_update'),
       });
+      
+      tracking.thumbPath = thumbPath;
+      return;
+    }
+    
+    // --- SCENARIO 3: DETECTION LEVEL UPDATES (no notification) ---
+    if (severity === 'detection') {
+      if (imageChanged) {
+        console.log(`[Silent Update] Detection ${reviewId} image updated (no notification)`);
+        tracking.thumbPath = thumbPath;
+      }
+      return;
+    }
+    
+    // --- SCENARIO 4: DOWNGRADE (alert → detection) - rare but possible ---
+    if (severityChanged && severity === 'detection') {
+      console.log(`[Downgrade] Alert downgraded to detection for ${reviewId}`);
+      tracking.severity = severity;
+      return;
+    }
+    
+    return;
+  }
+  
+  // === HANDLE 'END' MESSAGES - SUMMARY AND CLEANUP ===
+  if (messageType === 'end') {
+    if (tracking) {
+      console.log(`[End] Review ${reviewId} completed (notified: ${tracking.notificationSent}), cleaning up tracking`);
+      sentNotifications.delete(reviewId);
+
+      // Devices that asked for it get the original notification replaced with the whole review
+      const summaryTokens = (tracking.notifiedTokens || []).filter(token => devices.get(token)?.endSummary);
+      if (tracking.notificationSent && summaryTokens.length > 0) {
+        console.log(`[End] Sending review summary for ${reviewId} to ${summaryTokens.length} device(s)`);
+        await sendReviewNotification({
+          reviewId,
+          camera,
+          instance,
+          severity: tracking.severity,
+          objects,
+          subLabels,
+          zones,
+          detections,
+          thumbPath: thumbPath || tracking.thumbPath,
+          startTime,
+          endTime,
+          isSummary: true,
+          downgraded,
+          onlyTokens: summaryTokens,
+          historyEntry: recordDecision('summary'),
+        });
+      }
+    }
+    digestedReviews.delete(reviewId);
+    expireQueuedReview(reviewId);
+    return;
+  }
+}
+
+// Helper function to find which global filter rejects a review (null = passes all filters)
+function getReviewFilterReason(severity, camera, objects, zones = [], subLabels = [], objectCount = subLabels.length) {
+  const notifications = getNotificationSettings();
+  
+  // Filter by severity (default: only alerts)
+  if (notifications.severityFilter !== 'all') {
+    if (severity !== notifications.severityFilter) {
+      return `severity '${severity}' does not match filter '${notifications.severityFilter}'`;
+    }
+  }
+  
+  // Filter by cameras if configured
+  if (notifications.filterCameras.length > 0) {
+    if (!matchesCamera(notifications.filterCameras, camera)) {
+      return `camera '${camera}' not in filter`;
+    }
+  }
+  
+  // Filter by labels if configured (check if any object matches)
+  if (notifications.filterLabels.length > 0) {
+    const hasMatchingLabel = objects.some(obj => notifications.filterLabels.includes(obj));
+    if (!hasMatchingLabel) {
+      return `labels [${objects.join(', ')}] not in filter`;
+    }
+  }
+  
+  // Filter by recognized faces / plates if configured
+  const subLabelReason = getSubLabelFilterReason(notifications.filterSubLabels, notifications.ignoreSubLabels, subLabels, objectCount);
+  if (subLabelReason) {
+    return subLabelReason;
+  }
+  
+  // Filter by per-camera zone rules if configured
+  return getZoneFilterReason(camera, zones);
+}
+
+// Sub labels (recognized faces and license plates) as a list of names
+// Frigate sends a list for reviews, and a name or [name, score] for events depending on the version
+function normalizeSubLabels(value) {
+  const list = Array.isArray(value) && !(value.length === 2 && typeof value[1] === 'number') ? value : [value];
+  const names = list
+    .map(item => Array.isArray(item) ? item[0] : item)
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+  return [...new Set(names)];
+}
+
+// Sub labels of a tracked object (event.after): the recognized face or plate name, and the raw plate (Frigate 0.16+)
+function getEventSubLabels(after) {
+  return normalizeSubLabels([
+    ...normalizeSubLabels(after?.sub_label),
+    ...normalizeSubLabels(after?.recognized_license_plate),
+  ]);
+}
+
+// Helper function to check sub label filters (names are compared case-insensitively)
+//   allowed: notify only when one of these was recognized (empty = no restriction)
+//   ignored: skip when every tracked object was recognized as one of these (household members, own cars) -
+//            an unrecognized object next to them (objectCount > sub labels) still notifies
+// Returns the reason the alert is filtered, or null
+function getSubLabelFilterReason(allowed = [], ignored = [], subLabels = [], objectCount = subLabels.length) {
+  const recognized = subLabels.map(name => name.toLowerCase());
+  const includes = (list, name) => list.some(item => item.toLowerCase() === name);
+
+  if (allowed.length > 0 && !recognized.some(name => includes(allowed, name))) {
+    return subLabels.length > 0 ? `sub labels [${subLabels.join(', ')}] not in filter` : 'no recognized sub label';
+  }
+
+  if (ignored.length > 0 && recognized.length > 0 && recognized.length >= objectCount &&
+      recognized.every(name => includes(ignored, name))) {
+    return `sub labels [${subLabels.join(', ')}] ignored`;
+  }
+
+  return null;
+}
+
+// Helper function to check per-camera zone rules (bridgeConfig.notifications.zoneFilters; null = passes)
+//   required: notify only when the object is in at least one of these zones
+//   excluded: ignore the alert when every zone it is in is excluded (e.g. only in 'street')
+function getZoneFilterReason(camera, zones) {
+  // Rules for "instance/camera" take precedence over rules for the camera name on any instance
+  const [instance, name] = splitCameraId(camera);
+  const rule = bridgeConfig.notifications.zoneFilters?.[`${instance}/${name}`] || bridgeConfig.notifications.zoneFilters?.[name];
+  if (!rule) {
+    return null;
+  }
+  
+  if (rule.required?.length > 0 && !zones.some(zone => rule.required.includes(zone))) {
+    return `zones [${zones.join(', ')}] not in required zones [${rule.required.join(', ')}]`;
+  }
+  
+  if (rule.excluded?.length > 0 && zones.length > 0 && zones.every(zone => rule.excluded.includes(zone))) {
+    return `zones [${zones.join(', ')}] all excluded`;
+  }
+  
+  return null;
+}
+
+// Helper function to check review cooldowns
+// Returns a description of the active cooldown, or null if a notification may be sent.
+// The camera + label cooldown only applies when every label in the review is cooling down,
+// so a new object type on the same camera still notifies.
+function checkReviewCooldown(camera, objects, now = Date.now()) {
+  const { cooldown, cameraCooldown } = getNotificationSettings();
+  
+  if (cameraCooldown > 0) {
+    const lastNotification = cameraCooldowns.get(camera);
+    if (lastNotification && (now - lastNotification) < cameraCooldown * 1000) {
+      return `camera ${camera}, ${cameraCooldown}s`;
+    }
+  }
+  
+  if (cooldown > 0) {
+    const labels = objects.length > 0 ? objects : ['activity'];
+    const allCoolingDown = labels.every(label => {
+      const lastNotification = notificationCooldowns.get(`${camera}_${label}`);
+      return lastNotification && (now - lastNotification) < cooldown * 1000;
+    });
+    if (allCoolingDown) {
+      return `${labels.map(label => `${camera}_${label}`).join(', ')}, ${cooldown}s`;
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to start review cooldowns after a notification was sent
+function recordReviewCooldown(camera, objects, now = Date.now()) {
+  cameraCooldowns.set(camera, now);
+  for (const label of (objects.length > 0 ? objects : ['activity'])) {
+    notificationCooldowns.set(`${camera}_${label}`, now);
+  }
+}
+
+// Helper function to check a device's maxPerMinute limit
+function isDeviceRateLimited(token, device, now = Date.now()) {
+  const limit = device?.maxPerMinute;
+  if (!limit) {
+    return false;
+  }
+  
+  const recent = (deviceSendTimes.get(token) || []).filter(time => now - time < 60000);
+  deviceSendTimes.set(token, recent);
+  return recent.length >= limit;
+}
+
+// Helper function to record a send for a device's maxPerMinute limit
+function recordDeviceSend(token, now = Date.now()) {
+  const recent = deviceSendTimes.get(token) || [];
+  recent.push(now);
+  deviceSendTimes.set(token, recent);
+}
+
+// Helper function to find which of a device's own filters rejects a review or event
+// (checked per token after the global filters; null = passes)
+function getDeviceFilterReason(device, severity, camera, objects, zones = [], subLabels = [], objectCount = subLabels.length) {
+  const filters = device?.filters;
+  if (!filters) {
+    return null;
+  }
+
+  if (filters.severity && filters.severity !== 'all' && severity && severity !== filters.severity) {
+    return `severity '${severity}' does not match device filter '${filters.severity}'`;
+  }
+
+  if (filters.cameras?.length > 0 && !matchesCamera(filters.cameras, camera)) {
+    return `camera '${camera}' not in device filter`;
+  }
+
+  if (filters.labels?.length > 0 && !objects.some(obj => filters.labels.includes(obj))) {
+    return `labels [${objects.join(', ')}] not in device filter`;
+  }
+
+  if (filters.zones?.length > 0 && !zones.some(zone => filters.zones.includes(zone))) {
+    return `zones [${zones.join(', ')}] not in device filter`;
+  }
+
+  return getSubLabelFilterReason(filters.subLabels, filters.ignoreSubLabels, subLabels, objectCount);
+}
+
+// === NOTIFICATION SCHEDULES (QUIET HOURS) ===
+//
+// A schedule is a recurring time window that mutes or downgrades matching alerts:
+//   { id, name, enabled, days: [0-6], start: 'HH:MM', end: 'HH:MM',
+//     action: 'mute' | 'downgrade', cameras: [], labels: [],
+//     except: [{ cameras: [], labels: [] }], timezone }
+//
+// - days uses 0 = Sunday; a window with end < start runs overnight and belongs to its start day
+// - cameras/labels limit which alerts the schedule applies to (empty = all)
+// - except lists alerts that stay untouched (e.g. person on front_door overnight)
+// - 'downgrade' still delivers the notification, but silently
+
+const SCHEDULE_ACTIONS = ['mute', 'downgrade'];
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Check that a timezone name is understood by Intl (e.g. 'Europe/London')
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Resolve the timezone used for a device (device → bridge → system default)
+function resolveTimezone(device) {
+  return device?.timezone || bridgeConfig.timezone || undefined;
+}
+
+// Format a Unix timestamp (seconds) as a local time string for {time}
+function formatTime(unixSeconds, timeZone) {
+  return new Date(unixSeconds * 1000).toLocaleTimeString(undefined, timeZone ? { timeZone } : undefined);
+}
+
+// Format a Unix timestamp (seconds) as a local date string for {date}
+function formatDate(unixSeconds, timeZone) {
+  return new Date(unixSeconds * 1000).toLocaleDateString(undefined, timeZone ? { timeZone } : undefined);
+}
+
+// Seconds as "45s", "1m 05s" or "1h 02m" for {duration}
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const pad = value => String(value).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}h ${pad(minutes)}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${pad(total % 60)}s` : `${total}s`;
+}
+
+// Template variables shared by every device; {time} and {date} are added per device timezone
+function buildTemplateData({ objects, subLabels = [], camera, zones = [], startTime, endTime = null, score = null, severity = null, objectCount, instance }) {
+  return {
+    label: objects.length > 0 ? objects.map(obj => obj.charAt(0).toUpperCase() + obj.slice(1)).join(', ') : 'Activity',
+    sub_label: subLabels.join(', '),
+    camera: camera.replace(/_/g, ' '),
+    zones: zones.join(', '),
+    score: score === null ? '' : `${Math.round(score * 100)}%`,
+    severity: severity || '',
+    duration: startTime ? formatDuration((endTime || Date.now() / 1000) - startTime) : '',
+    object_count: objectCount,
+    instance,
+    startTime,
+  };
+}
+
+// A device's title and body (its own templates or the defaults) with {time}/{date} in its timezone
+function renderDeviceTemplates(device, templateData, deviceTemplates = device?.templates || notificationTemplates.DEFAULT_TEMPLATES) {
+  const timeZone = resolveTimezone(device);
+  const data = {
+    ...templateData,
+    time: templateData.startTime ? formatTime(templateData.startTime, timeZone) : '',
+    date: templateData.startTime ? formatDate(templateData.startTime, timeZone) : '',
+  };
+  return {
+    title: notificationTemplates.render(deviceTemplates.title, data),
+    body: notificationTemplates.render(deviceTemplates.body, data),
+  };
+}
+
+// Highest score among a review's tracked objects (reviews don't carry scores; null if Frigate can't say)
+async function fetchTopScore(instance, eventIds) {
+  if (!instance?.internalUrl || eventIds.length === 0) {
+    return null;
+  }
+  try {
+    const response = await axios.get(`${instance.internalUrl}/api/events`, {
+      params: { ids: eventIds.join(',') },
+      timeout: 3000,
+      headers: instance.jwtToken ? { Authorization: `Bearer ${instance.jwtToken}` } : {},
+    });
+    const scores = (Array.isArray(response.data) ? response.data : [])
+      .map(event => event.data?.top_score ?? event.top_score ?? event.score)
+      .filter(score => typeof score === 'number');
+    return scores.length > 0 ? Math.max(...scores) : null;
+  } catch (err) {
+    console.log(`[Push] Could not fetch scores for {score} from ${instance.name}: ${err.response?.status ? `HTTP ${err.response.status}` : err.message}`);
+    return null;
+  }
+}
+
+// Get weekday (0 = Sunday) and minutes since midnight for a date in a timezone
+function getLocalClock(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type)?.value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+
+  return { day, minutes: parseInt(get('hour')) * 60 + parseInt(get('minute')) };
+}
+
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate a schedule from the API and fill in defaults
+ * Returns { schedule } or { error }
+ */
+function normalizeSchedule(input, existing = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Schedule must be an object' };
+  }
+
+  const schedule = {
+    id: existing.id || crypto.randomUUID(),
+    name: existing.name || '',
+    enabled: existing.enabled ?? true,
+    days: existing.days || [0, 1, 2, 3, 4, 5, 6],
+    start: existing.start,
+    end: existing.end,
+    action: existing.action || 'mute',
+    cameras: existing.cameras || [],
+    labels: existing.labels || [],
+    except: existing.except || [],
+    timezone: existing.timezone || null,
+  };
+
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string') {
+      return { error: 'Schedule name must be a string' };
+    }
+    schedule.name = input.name.trim();
+  }
+
+  if (input.enabled !== undefined) {
+    schedule.enabled = !!input.enabled;
+  }
+
+  if (input.days !== undefined) {
+    if (!Array.isArray(input.days) || input.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Schedule days must be an array of integers 0-6 (0 = Sunday)' };
+    }
+    schedule.days = [...new Set(input.days)].sort();
+  }
+
+  for (const key of ['start', 'end']) {
+    if (input[key] !== undefined) {
+      schedule[key] = input[key];
+    }
+    if (typeof schedule[key] !== 'string' || !TIME_OF_DAY_PATTERN.test(schedule[key])) {
+      return { error: `Schedule ${key} must be a time in HH:MM format` };
+    }
+  }
+
+  if (input.action !== undefined) {
+    if (!SCHEDULE_ACTIONS.includes(input.action)) {
+      return { error: `Schedule action must be one of: ${SCHEDULE_ACTIONS.join(', ')}` };
+    }
+    schedule.action = input.action;
+  }
+
+  for (const key of ['cameras', 'labels']) {
+    if (input[key] === undefined) continue;
+    if (!Array.isArray(input[key]) || input[key].some(value => typeof value !== 'string')) {
+      return { error: `Schedule ${key} must be an array of strings` };
+    }
+    schedule[key] = input[key].map(value => value.trim()).filter(Boolean);
+  }
+
+  if (input.except !== undefined) {
+    if (!Array.isArray(input.except)) {
+      return { error: 'Schedule except must be an array of { cameras, labels } objects' };
+    }
+    const except = [];
+    for (const rule of input.except) {
+      if (!rule || typeof rule !== 'object') {
+        return { error: 'Schedule except must be an array of { cameras, labels } objects' };
+      }
+      const cameras = rule.cameras || [];
+      const labels = rule.labels || [];
+      if (!Array.isArray(cameras) || !Array.isArray(labels)) {
+        return { error: 'Schedule except cameras and labels must be arrays' };
+      }
+      except.push({ cameras: cameras.filter(Boolean), labels: labels.filter(Boolean) });
+    }
+    schedule.except = except;
+  }
+
+  if (input.timezone !== undefined) {
+    if (input.timezone !== null && (typeof input.timezone !== 'string' || !isValidTimezone(input.timezone))) {
+      return { error: `Unknown timezone: ${input.timezone}` };
+    }
+    schedule.timezone = input.timezone;
+  }
+
+  return { schedule };
+}
+
+// Check whether a schedule window covers the given moment
+function isScheduleActive(schedule, date, defaultTimezone) {
+  if (!schedule.enabled) {
+    return false;
+  }
+
+  const { day, minutes } = getLocalClock(date, schedule.timezone || defaultTimezone);
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  const previousDay = (day + 6) % 7;
+
+  if (start === end) {
+    // Whole day
+    return schedule.days.includes(day);
+  }
+
+  if (start < end) {
+    return schedule.days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  // Overnight window (e.g. 22:00-07:00): the early-morning part belongs to the previous day
+  return (schedule.days.includes(day) && minutes >= start) ||
+    (schedule.days.includes(previousDay) && minutes < end);
+}
+
+// Check whether an alert falls under a schedule's camera/label scope and not under its exceptions
+function scheduleMatchesAlert(schedule, camera, objects) {
+  const matches = (cameras, labels) =>
+    (cameras.length === 0 || matchesCamera(cameras, camera)) &&
+    (labels.length === 0 || objects.some(obj => labels.includes(obj)));
+
+  if (!matches(schedule.cameras, schedule.labels)) {
+    return false;
+  }
+
+  return !schedule.except.some(rule => matches(rule.cameras, rule.labels));
+}
+
+/**
+ * Evaluate a list of schedules for an alert
+ * Returns { action: 'allow' | 'mute' | 'downgrade', schedule } - mute wins over downgrade
+ */
+function evaluateSchedules(schedules, camera, objects, timeZone, date = new Date()) {
+  let result = { action: 'allow', schedule: null };
+
+  for (const schedule of schedules || []) {
+    if (!isScheduleActive(schedule, date, timeZone) || !scheduleMatchesAlert(schedule, camera, objects)) {
+      continue;
     }
-    
+
+    if (schedule.action === 'mute') {
+      return { action: 'mute', schedule };
+    }
+    result = { action: 'downgrade', schedule };
+  }
+
+  return result;
+}
+
+// Process legacy frigate/events message (old format - backwards compatibility)
+async function processEventMessage(event, instance = getFrigateInstance(PRIMARY_INSTANCE)) {
+  // Only process 'new' events (not 'update' or 'end')
+  if (event.type !== 'new') {
     return;
   }
   
-  // === HANDLE 'UPDATE' MESSAGES ===
-  if (messageType === 'update') {
-    
-    // If no tracking, this is an orphaned update (shouldn't happen, but handle it)
-    if (!tracking) {
-      if (severity === 'alert' && applyReviewFilters(severity, camera, objects)) {
-        console.log(`[Update] No tracking found for ${reviewId}, treating as new alert`);
-        await sendReviewNotification({
-          reviewId,
-          camera,
-          severity,
-          objects,
-          zones,
-          detections,
-          thumbPath,
-          startTime,
-          isImageUpdate: false,
-        });
-        sentNotifications.set(reviewId, {
-          severity,
-          thumbPath,
-          timestamp: Date.now(),
-          notificationSent: true,
-        });
-      }
-      return;
-    }
-    
-    const severityChanged = tracking.severity !== severity;
-    const imageChanged = tracking.thumbPath !== thumbPath;
-    
-    // --- SCENARIO 1: SEVERITY ESCALATION (detection → alert) ---
-    if (severityChanged && severity === 'alert') {
-      // Apply filters for escalated alerts
-      if (!applyReviewFilters(severity, camera, objects)) {
-        console.log(`[Escalation] ${reviewId} escalated to alert but filtered out`);
-        tracking.severity = severity;
-        return;
-      }
-      
-      console.log(`[Escalation] ${reviewId} escalated detection→alert, sending notification`);
-      console.log(`[Review] ${severity.toUpperCase()} on ${camera}: ${objects.join(', ')}`);
-      
-      await sendReviewNotification({
-        reviewId,
-        camera,
-        severity,
-        objects,
-        zones,
-        detections,
-        thumbPath,
-        startTime,
-        isImageUpdate: false,
-      });
-      
-      tracking.severity = severity;
-      tracking.thumbPath = thumbPath;
-      tracking.timestamp = Date.now();
-      tracking.notificationSent = true;
+  const cameraId = qualifyCamera(event.after?.camera || 'Unknown', instance.name); // For filters, schedules and cooldowns
+  const subLabels = getEventSubLabels(event.after);
+  
+  // Record an event decision in the notification history
+  const recordDecision = (decision, reason = null) => recordHistory({
+    source: 'event',
+    eventId: event.after?.id || null,
+    instance: instance.name,
+    camera: event.after?.camera,
+    objects: [event.after?.label].filter(Boolean),
+    subLabels,
+    decision,
+    reason,
+  });
+  
+  const notifications = getNotificationSettings();
+  
+  // Filter by labels if configured
+  if (notifications.filterLabels.length > 0) {
+    if (!notifications.filterLabels.includes(event.after?.label)) {
+      console.log(`[Filter] Skipping event - label '${event.after?.label}' not in filter`);
+      recordDecision('filtered', `label '${event.after?.label}' not in filter`);
       return;
     }
-    
-    // --- SCENARIO 2: IMAGE IMPROVEMENT (alert level only) ---
-    if (tracking.notificationSent && imageChanged && severity === 'alert') {
-      console.log(`[Image Update] Enhancing notification image for ${reviewId}`);
-      console.log(`[Review] Better thumbnail available for ${camera}`);
-      
-      await sendReviewNotification({
-        reviewId,
-        camera,
-        severity,
-        objects,
-        zones,
-        detections,
-        thumbPath,
-        startTime,
-        isImageUpdate: true, // Flag for image-only update
-      });
-      
-      tracking.thumbPath = thumbPath;
+  }
+  
+  // Filter by cameras if configured
+  if (notifications.filterCameras.length > 0) {
+    if (!matchesCamera(notifications.filterCameras, cameraId)) {
+      console.log(`[Filter] Skipping event - camera '${event.after?.camera}' not in filter`);
+      recordDecision('filtered', `camera '${event.after?.camera}' not in filter`);
       return;
     }
-    
-    // --- SCENARIO 3: DETECTION LEVEL UPDATES (no notification) ---
-    if (severity === 'detection') {
-      if (imageChanged) {
-        console.log(`[Silent Update] Detection ${reviewId} image updated (no notification)`);
-        tracking.thumbPath = thumbPath;
-      }
-      return;
+  }
+  
+  // Filter by recognized faces / plates if configured
+  const subLabelReason = getSubLabelFilterReason(notifications.filterSubLabels, notifications.ignoreSubLabels, subLabels, 1);
+  if (subLabelReason) {
+    console.log(`[Filter] Skipping event - ${subLabelReason}`);
+    recordDecision('filtered', subLabelReason);
+    return;
+  }
+  
+  // Filter by per-camera zone rules if configured
+  const eventZones = [...new Set([...(event.after?.current_zones || []), ...(event.after?.entered_zones || [])])];
+  const zoneReason = getZoneFilterReason(cameraId, eventZones);
+  if (zoneReason) {
+    console.log(`[Filter] Skipping event - ${zoneReason} for '${event.after?.camera}'`);
+    recordDecision('filtered', zoneReason);
+    return;
+  }
+  
+  // Check global notification schedules (quiet hours)
+  const scheduleResult = evaluateSchedules(bridgeConfig.schedules, cameraId, [event.after?.label], resolveTimezone());
+  const scheduleName = scheduleResult.schedule && (scheduleResult.schedule.name || scheduleResult.schedule.id);
+  if (scheduleResult.action === 'mute') {
+    console.log(`[Schedule] Skipping event - muted by schedule "${scheduleName}"`);
+    recordDecision('muted', `schedule "${scheduleName}"`);
+    return;
+  }
+  
+  // Check global snoozes (per-device snoozes are checked during fan-out)
+  const snooze = findSnooze(null, cameraId, [event.after?.label]);
+  if (snooze) {
+    console.log(`[Snooze] Skipping event - ${describeSnooze(snooze)}`);
+    recordDecision('snoozed', describeSnooze(snooze));
+    return;
+  }
+  
+  // Check cooldown to prevent spam
+  const cooldownKey = `${cameraId}_${event.after?.label}`;
+  const lastNotification = notificationCooldowns.get(cooldownKey);
+  const now = Date.now();
+  
+  if (lastNotification && (now - lastNotification) < notifications.cooldown * 1000) {
+    console.log(`[Cooldown] Skipping notification for ${cooldownKey} (cooldown active)`);
+    stats.suppressed.cooldown++;
+    recordDecision('cooldown', `cooldown active: ${cooldownKey}`);
+    return;
+  }
+  
+  // Update cooldown
+  notificationCooldowns.set(cooldownKey, now);
+  
+  console.log(`[Event] ${event.after?.label} detected on ${event.after?.camera}`);
+  
+  // Send push notification (legacy format)
+  const downgraded = scheduleResult.action === 'downgrade';
+  await sendPushNotifications(event, {
+    instance,
+    downgraded,
+    historyEntry: recordDecision('sent', downgraded ? `downgraded by schedule "${scheduleName}"` : null),
+  });
+}
+
+/**
+ * Detect if token is FCM or Expo Push token
+ */
+function isFCMToken(token) {
+  // Expo Push tokens start with "ExponentPushToken["
+  // FCM tokens are long alphanumeric strings
+  return !token.startsWith('ExponentPushToken[');
+}
+
+// === NOTIFICATION HISTORY ===
+//
+// Every alert decision (sent, filtered, muted, cooldown) is recorded with the outcome for each
+// device, so "did my phone get the 3am alert?" can be answered from GET /history.
+// The history is bounded to HISTORY_MAX_ENTRIES and persisted to data/history.json.
+
+const HISTORY_SAVE_DELAY = 2000; // ms - batch writes while a review fans out
+
+const historyStore = storage.collection('history', {
+  version: 1,
+  migrations: {
+    0: saved => saved, // v0: the bare entry array
+  },
+  delay: HISTORY_SAVE_DELAY,
+  pretty: false,
+});
+let notificationHistory = historyStore.load() || [];
+if (notificationHistory.length > 0) {
+  console.log(`[History] Loaded ${notificationHistory.length} history entries from persistent storage`);
+}
+
+// Debounced save - many deliveries are recorded in quick succession
+function scheduleHistorySave() {
+  historyStore.save(notificationHistory);
+}
+
+// Suppressed decisions → aviant_notifications_suppressed_total reason label
+const SUPPRESSION_REASONS = {
+  filtered: 'filter',
+  muted: 'schedule',
+  snoozed: 'snooze',
+  cooldown: 'cooldown',
+};
+
+/**
+ * Record a notification decision
+ * decision: 'sent' | 'image_update' | 'summary' | 'digest' | 'filtered' | 'muted' | 'snoozed' | 'cooldown'
+ * Returns the entry so deliveries can be added to it during fan-out
+ */
+function recordHistory({ source = 'review', reviewId = null, eventId = null, instance = PRIMARY_INSTANCE, camera, objects = [], subLabels = [], severity = null, decision, reason = null }) {
+  if (SUPPRESSION_REASONS[decision]) {
+    metrics.suppressed.inc({ reason: SUPPRESSION_REASONS[decision] });
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    time: new Date().toISOString(),
+    source, // 'review' or 'event'
+    reviewId,
+    eventId,
+    instance,
+    camera,
+    objects,
+    subLabels, // Recognized faces / plates
+    severity,
+    decision,
+    reason,
+    deliveries: [],
+    actions: [], // Notification buttons pressed for this alert
+  };
+
+  notificationHistory.push(entry);
+  if (notificationHistory.length > config.history.maxEntries) {
+    notificationHistory.splice(0, notificationHistory.length - config.history.maxEntries);
+  }
+  scheduleHistorySave();
+
+  return entry;
+}
+
+/**
+ * Record the outcome for one device on a history entry
+ * status: 'sent' | 'failed' | 'queued' | 'skipped' | 'digest' (collected, sent later in a digest)
+ */
+function recordHistoryDelivery(entry, token, { status, messageId = null, error = null, reason = null }) {
+  if (!entry) {
+    return;
+  }
+
+  const device = devices.get(token);
+  const delivery = {
+    device: device?.name || 'Unknown',
+    token: `${token.substring(0, 30)}...`,
+    transport: getTransportType(token, device),
+    status,
+    messageId,
+    error,
+    reason,
+    time: new Date().toISOString(),
+  };
+
+  const existing = entry.deliveries.findIndex(item => item.token === delivery.token);
+  if (existing === -1) {
+    entry.deliveries.push(delivery);
+  } else {
+    entry.deliveries[existing] = delivery; // Retry outcome replaces the queued status
+  }
+  scheduleHistorySave();
+}
+
+// Record a device skipped during fan-out (kind is the metrics reason: inactive, device_filter, device_schedule, rate_limit, snooze)
+function recordSkippedDelivery(entry, token, kind, reason) {
+  metrics.suppressed.inc({ reason: kind });
+  recordHistoryDelivery(entry, token, { status: 'skipped', reason });
+}
+
+// Record a notification action on the latest history entry for its review
+function recordHistoryAction(reviewId, instance, outcome) {
+  const entry = reviewId && notificationHistory.findLast(item =>
+    item.reviewId === reviewId && (item.instance || PRIMARY_INSTANCE) === instance);
+  if (!entry) {
+    return;
+  }
+  entry.actions = entry.actions || [];
+  entry.actions.push(outcome);
+  scheduleHistorySave();
+}
+
+// Map a transport result to a history delivery
+function toHistoryDelivery(result) {
+  if (result.success) {
+    return { status: 'sent', messageId: result.messageId || null };
+  }
+  return { status: result.queued ? 'queued' : 'failed', error: result.error || null };
+}
+
+// Parse a time filter (ISO string or Unix seconds) into milliseconds
+function parseHistoryTime(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value) * 1000 : Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+// === DELIVERY HEALTH (DEAD TOKEN PRUNING) ===
+
+
+// Error codes/messages from FCM (via proxy) and Expo meaning the token will never work again
+const PERMANENT_TOKEN_ERROR_PATTERN = /registration-token-not-registered|invalid-registration-token|UNREGISTERED|DeviceNotRegistered|not a valid FCM registration token/i;
+
+// Check whether a proxy/Expo error means the token is permanently dead
+function isPermanentTokenError(...details) {
+  return details.some(detail => {
+    if (!detail) return false;
+    const text = typeof detail === 'string' ? detail : JSON.stringify(detail);
+    return PERMANENT_TOKEN_ERROR_PATTERN.test(text);
+  });
+}
+
+/**
+ * Record the outcome of a delivery for a device
+ * Tracks consecutive failures and deactivates or removes devices whose token is permanently invalid
+ */
+function recordDeliveryResult(token, result) {
+  const device = devices.get(token);
+  metrics.notifications.inc({
+    transport: getTransportType(token, device),
+    device: device?.name || 'Unknown',
+    result: result.success ? 'success' : 'failure',
+  });
+
+  if (!device) {
+    return;
+  }
+
+  const health = device.health || { state: 'healthy', consecutiveFailures: 0 };
+  const previousState = health.state;
+
+  if (result.success) {
+    health.state = 'healthy';
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = new Date().toISOString();
+    device.health = health;
+    if (previousState !== 'healthy') {
+      console.log(`[Health] Device ${device.name} is healthy again`);
+      saveDevices();
     }
-    
-    // --- SCENARIO 4: DOWNGRADE (alert → detection) - rare but possible ---
-    if (severityChanged && severity === 'detection') {
-      console.log(`[Downgrade] Alert downgraded to detection for ${reviewId}`);
-      tracking.severity = severity;
+    return;
+  }
+
+  health.consecutiveFailures = (health.consecutiveFailures || 0) + 1;
+  health.lastFailureAt = new Date().toISOString();
+  health.lastError = result.error || 'Unknown error';
+
+  if (result.permanent) {
+    if (config.devices.deadTokenAction === 'remove') {
+      console.log(`[Health] Removing device ${device.name} - token permanently invalid (${health.lastError})`);
+      devices.delete(token);
+      saveDevices();
       return;
     }
-    
+    health.state = 'inactive';
+    health.inactiveSince = health.inactiveSince || health.lastFailureAt;
+  } else if (health.consecutiveFailures >= config.devices.failingThreshold && health.state !== 'inactive') {
+    health.state = 'failing';
+  }
+
+  device.health = health;
+  saveDevices();
+
+  if (health.state !== previousState) {
+    console.log(`[Health] Device ${device.name} is now ${health.state} (${health.consecutiveFailures} consecutive failure(s): ${health.lastError})`);
+  }
+}
+
+// Inactive devices are skipped until they re-register
+function isDeviceInactive(device) {
+  return device?.health?.state === 'inactive';
+}
+
+// Network errors, timeouts, 5xx and 429 are worth retrying; other 4xx responses are not
+function isRetryableHttpError(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+// === DELIVERY QUEUE (RETRIES) ===
+//
+// Deliveries that fail with a transient error (timeout, network blip, 5xx) are queued and
+// retried with exponential backoff and jitter. The queue is persisted to data/queue.json so
+// pending alerts survive a restart. Items are dropped once they are too old to be useful:
+// after QUEUE_MAX_AGE seconds, or QUEUE_END_GRACE seconds after their review has ended.
+
+const QUEUE_BASE_DELAY = 2000; // ms, doubled on each attempt
+const QUEUE_MAX_DELAY = 5 * 60 * 1000; // ms
+const QUEUE_MAX_FAILURE_REASONS = 20; // distinct reasons kept for /health
+
+// Pending deliveries: [{ id, token, reviewId, notificationData, attempts, createdAt, nextAttemptAt, expiresAt, lastError }]
+const queueStore = storage.collection('queue', {
+  version: 1,
+  migrations: {
+    0: saved => saved, // v0: the bare queue array
+  },
+});
+let deliveryQueue = queueStore.load() || [];
+if (deliveryQueue.length > 0) {
+  console.log(`[Queue] Loaded ${deliveryQueue.length} pending deliveries from persistent storage`);
+}
+
+const queueStats = {
+  retried: 0,
+  delivered: 0,
+  dropped: { expired: 0, maxAttempts: 0, permanent: 0 },
+  failureReasons: {}, // error message → count
+};
+
+let queueTimer = null;
+let queueProcessing = false;
+
+// Resume retrying deliveries left over from the previous run (first attempt runs after startup)
+if (deliveryQueue.length > 0) {
+  console.log(`[Queue] Resuming ${deliveryQueue.length} pending deliveries`);
+  setTimeout(scheduleQueueRun, 0);
+}
+
+function saveQueue() {
+  queueStore.save(deliveryQueue);
+}
+
+function recordFailureReason(reason) {
+  const key = String(reason || 'Unknown error').substring(0, 200);
+  if (queueStats.failureReasons[key] === undefined &&
+      Object.keys(queueStats.failureReasons).length >= QUEUE_MAX_FAILURE_REASONS) {
     return;
   }
-  
-  // === HANDLE 'END' MESSAGES - CLEANUP ONLY ===
-  if (messageType === 'end') {
-    if (tracking) {
-      console.log(`[End] Review ${reviewId} completed (notified: ${tracking.notificationSent}), cleaning up tracking`);
-      sentNotifications.delete(reviewId);
+  queueStats.failureReasons[key] = (queueStats.failureReasons[key] || 0) + 1;
+}
+
+// Exponential backoff with jitter: random delay between 50% and 100% of base * 2^attempt
+function getRetryDelay(attempts) {
+  const delay = Math.min(QUEUE_BASE_DELAY * 2 ** attempts, QUEUE_MAX_DELAY);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Queue a failed delivery for retry
+ * A newer notification for the same review and device replaces the queued one
+ */
+function enqueueDelivery(token, notificationData, error, historyId = null) {
+  const now = Date.now();
+  const { reviewId } = notificationData;
+
+  deliveryQueue = deliveryQueue.filter(item => !(reviewId && item.reviewId === reviewId && item.token === token));
+  deliveryQueue.push({
+    id: crypto.randomUUID(),
+    token,
+    reviewId: reviewId || null,
+    historyId,
+    notificationData,
+    attempts: 1,
+    createdAt: now,
+    nextAttemptAt: now + getRetryDelay(1),
+    expiresAt: now + config.queue.maxAge * 1000,
+    lastError: error,
+  });
+  recordFailureReason(error);
+  saveQueue();
+
+  console.log(`[Queue] Delivery to ${devices.get(token)?.name || 'Unknown'} queued for retry (${error}), queue depth: ${deliveryQueue.length}`);
+  scheduleQueueRun();
+}
+
+// Shorten the lifetime of queued deliveries once their review has ended
+function expireQueuedReview(reviewId) {
+  const deadline = Date.now() + config.queue.endGrace * 1000;
+  let changed = false;
+  for (const item of deliveryQueue) {
+    if (item.reviewId === reviewId && item.expiresAt > deadline) {
+      item.expiresAt = deadline;
+      changed = true;
     }
+  }
+  if (changed) {
+    saveQueue();
+    scheduleQueueRun();
+  }
+}
+
+// Arm the timer for the next due item
+function scheduleQueueRun() {
+  if (queueTimer) {
+    clearTimeout(queueTimer);
+    queueTimer = null;
+  }
+  if (deliveryQueue.length === 0) {
     return;
   }
+
+  const next = Math.min(...deliveryQueue.map(item => Math.min(item.nextAttemptAt, item.expiresAt)));
+  queueTimer = setTimeout(processDeliveryQueue, Math.max(0, next - Date.now()));
 }
 
-// Helper function to apply review filters
-function applyReviewFilters(severity, camera, objects) {
-  // Filter by severity (default: only alerts)
-  if (bridgeConfig.notifications.severityFilter !== 'all') {
-    if (severity !== bridgeConfig.notifications.severityFilter) {
-      return false;
-    }
+// Retry every due item once
+async function processDeliveryQueue() {
+  if (queueProcessing) {
+    return;
   }
-  
-  // Filter by cameras if configured
-  if (bridgeConfig.notifications.filterCameras.length > 0) {
-    if (!bridgeConfig.notifications.filterCameras.includes(camera)) {
-      return false;
+  queueProcessing = true;
+  queueTimer = null;
+
+  try {
+    const now = Date.now();
+    const due = deliveryQueue.filter(item => item.nextAttemptAt <= now || item.expiresAt <= now);
+
+    for (const item of due) {
+      const device = devices.get(item.token);
+
+      if (item.expiresAt <= Date.now() || !devices.has(item.token) || isDeviceInactive(device)) {
+        console.log(`[Queue] Dropping delivery for review ${item.reviewId || 'unknown'} - too old to be useful or device gone`);
+        queueStats.dropped.expired++;
+        stats.notificationsFailed++;
+        updateQueuedHistory(item, { status: 'failed', error: `expired in retry queue (${item.lastError})` });
+        deliveryQueue = deliveryQueue.filter(queued => queued.id !== item.id);
+        continue;
+      }
+
+      queueStats.retried++;
+      console.log(`[Queue] Retrying delivery to ${device?.name || 'Unknown'} (attempt ${item.attempts + 1}/${config.queue.maxAttempts})`);
+
+      const result = await sendToTransport(item.token, item.notificationData);
+      recordDeliveryResult(item.token, result);
+      item.attempts++;
+
+      if (result.success) {
+        queueStats.delivered++;
+        stats.notificationsSent++;
+        updateQueuedHistory(item, toHistoryDelivery(result));
+        deliveryQueue = deliveryQueue.filter(queued => queued.id !== item.id);
+        continue;
+      }
+
+      item.lastError = result.error;
+      recordFailureReason(result.error);
+
+      if (!result.retryable || item.attempts >= config.queue.maxAttempts) {
+        console.log(`[Queue] Giving up on delivery to ${device?.name || 'Unknown'} after ${item.attempts} attempt(s): ${result.error}`);
+        if (result.retryable) {
+          queueStats.dropped.maxAttempts++;
+        } else {
+          queueStats.dropped.permanent++;
+        }
+        stats.notificationsFailed++;
+        updateQueuedHistory(item, toHistoryDelivery(result));
+        deliveryQueue = deliveryQueue.filter(queued => queued.id !== item.id);
+        continue;
+      }
+
+      item.nextAttemptAt = Date.now() + getRetryDelay(item.attempts);
     }
-  }
-  
-  // Filter by labels if configured (check if any object matches)
-  if (bridgeConfig.notifications.filterLabels.length > 0) {
-    const hasMatchingLabel = objects.some(obj => bridgeConfig.notifications.filterLabels.includes(obj));
-    if (!hasMatchingLabel) {
-      return false;
+
+    if (due.length > 0) {
+      saveQueue();
     }
+  } catch (err) {
+    console.error('[Queue] Error processing queue:', err.message);
+  } finally {
+    queueProcessing = false;
+    scheduleQueueRun();
   }
-  
-  return true;
 }
 
-// Process legacy frigate/events message (old format - backwards compatibility)
-async function processEventMessage(event) {
-  // Only process 'new' events (not 'update' or 'end')
-  if (event.type !== 'new') {
+// Record the final outcome of a queued delivery on its history entry
+function updateQueuedHistory(item, delivery) {
+  if (!item.historyId || !devices.has(item.token)) {
     return;
   }
-  
-  // Filter by labels if configured
-  if (bridgeConfig.notifications.filterLabels.length > 0) {
-    if (!bridgeConfig.notifications.filterLabels.includes(event.after?.label)) {
-      console.log(`[Filter] Skipping event - label '${event.after?.label}' not in filter`);
-      return;
-    }
+  const entry = notificationHistory.find(historyEntry => historyEntry.id === item.historyId);
+  recordHistoryDelivery(entry, item.token, { ...delivery, reason: `after ${item.attempts} attempt(s)` });
+}
+
+// Queue summary for /health
+function getQueueHealth() {
+  const now = Date.now();
+  return {
+    depth: deliveryQueue.length,
+    oldestAgeSeconds: deliveryQueue.length > 0
+      ? Math.floor((now - Math.min(...deliveryQueue.map(item => item.createdAt))) / 1000)
+      : 0,
+    retried: queueStats.retried,
+    delivered: queueStats.delivered,
+    dropped: queueStats.dropped,
+    failureReasons: queueStats.failureReasons,
+  };
+}
+
+// Transport registry: tokenType → send(token, notificationData, device)
+// Every transport returns { success, messageId, error, permanent, retryable }
+const transports = {
+  fcm: (token, notificationData) => sendFCMNotification(token, notificationData),
+  expo: (token, notificationData) => sendExpoPushNotification(token, notificationData),
+};
+for (const [name, transport] of Object.entries(selfHostedTransports)) {
+  transports[name] = (token, notificationData, device) => transport.send(device.transportSettings, notificationData);
+}
+
+// Get the transport name for a device (older registrations may not have tokenType)
+function getTransportType(token, device) {
+  return device?.tokenType || (isFCMToken(token) ? 'fcm' : 'expo');
+}
+
+// Send to the transport the device registered with
+async function sendToTransport(token, notificationData) {
+  const device = devices.get(token);
+  const type = getTransportType(token, device);
+  const send = transports[type];
+
+  if (!send) {
+    return { success: false, error: `Unknown transport: ${type}` };
   }
-  
-  // Filter by cameras if configured
-  if (bridgeConfig.notifications.filterCameras.length > 0) {
-    if (!bridgeConfig.notifications.filterCameras.includes(event.after?.camera)) {
-      console.log(`[Filter] Skipping event - camera '${event.after?.camera}' not in filter`);
-      return;
-    }
+
+  // Inline images are fetched at send time, so queued retries only carry the image source
+  // (FCM and Expo fetch theirs once the rest of the payload is known)
+  if (notificationData.snapshot && !PAYLOAD_SIZED_TRANSPORTS.includes(type)) {
+    const image = await getSnapshot(notificationData.snapshot, SNAPSHOT_INLINE_LIMITS[type]);
+    return send(token, { ...notificationData, image }, device);
   }
-  
-  // Check cooldown to prevent spam
-  const cooldownKey = `${event.after?.camera}_${event.after?.label}`;
-  const lastNotification = notificationCooldowns.get(cooldownKey);
-  const now = Date.now();
-  
-  if (lastNotification && (now - lastNotification) < bridgeConfig.notifications.cooldown * 1000) {
-    console.log(`[Cooldown] Skipping notification for ${cooldownKey} (cooldown active)`);
-    return;
+  return send(token, notificationData, device);
+}
+
+/**
+ * Deliver a notification to one device, queueing it for retry on transient failures
+ * The outcome is recorded on historyEntry (if given) and updated when a retry finishes
+ * Returns the result of the first attempt
+ */
+async function deliverNotification(token, notificationData, historyEntry = null) {
+  const result = await sendToTransport(token, notificationData);
+  recordDeliveryResult(token, result);
+
+  if (!result.success && result.retryable) {
+    enqueueDelivery(token, notificationData, result.error, historyEntry?.id);
+    result.queued = true;
   }
-  
-  // Update cooldown
-  notificationCooldowns.set(cooldownKey, now);
-  
-  console.log(`[Event] ${event.after?.label} detected on ${event.after?.camera}`);
-  
-  // Send push notification (legacy format)
-  await sendPushNotifications(event);
+
+  recordHistoryDelivery(historyEntry, token, toHistoryDelivery(result));
+  return result;
 }
 
+// Firebase Admin SDK error codes worth retrying in direct mode
+const FCM_RETRYABLE_ERROR_CODES = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/quota-exceeded',
+  'messaging/message-rate-exceeded',
+];
+
+// FCM data messages and Expo notifications (APNs underneath) are rejected over 4 KB
+const PUSH_PAYLOAD_LIMIT = 4096;
+
+// Optional fields left out, in this order, when a payload is over the limit (groups go together)
+const FCM_OPTIONAL_FIELDS = [
+  ['imageData', 'imageType'], // The app still has thumbnailUrl
+  ['previewGifUrl'],
+  ['eventClipUrl'],
+  ['previewMp4Url'],
+  ['recordingUrl'],
+  ['clipUrl'],
+  ['digestReviewIds'],
+  ['actions'],
+];
+const EXPO_OPTIONAL_FIELDS = [
+  ['imageData', 'imageType'],
+  ['links'],
+];
+
+const getPayloadSize = payload => Buffer.byteLength(JSON.stringify(payload));
+
 /**
- * Detect if token is FCM or Expo Push token
+ * Remove optional fields from `data` until the serialized `payload` (data itself for FCM, the whole
+ * message for Expo) fits PUSH_PAYLOAD_LIMIT. Returns the fields that were left out.
  */
-function isFCMToken(token) {
-  // Expo Push tokens start with "ExponentPushToken["
-  // FCM tokens are long alphanumeric strings
-  return !token.startsWith('ExponentPushToken[');
+function fitPushPayload(payload, data, optionalFields) {
+  const dropped = [];
+  for (const fields of optionalFields) {
+    if (getPayloadSize(payload) <= PUSH_PAYLOAD_LIMIT) {
+      break;
+    }
+    const present = fields.filter(field => data[field] !== undefined);
+    present.forEach(field => delete data[field]);
+    dropped.push(...present);
+  }
+  return dropped;
 }
 
 /**
  * Send FCM notification with authenticated image support
+ * Uses the Firebase Admin SDK in direct mode, otherwise the notification proxy
+ * Returns { success, messageId, error, permanent, retryable }
  */
 async function sendFCMNotification(fcmToken, notificationData) {
   try {
-    const { title, body, thumbnailUrl, jwtToken, camera, reviewId, eventId, timestamp, severity, isImageUpdate, imageMode } = notificationData;
+    const { title, body, thumbnailUrl, jwtToken, camera, instance, label, reviewId, eventId, timestamp, severity, isImageUpdate, isSummary, endTime, links = {}, digest, imageMode, silent, snapshot } = notificationData;
 
     // Create notification tag for update/replace behavior
     // Only alerts get notifications, so tag is always reviewId_alert
     const notificationTag = `review_${reviewId}_alert`;
 
-    // Use Cloudflare Worker proxy (secure, recommended)
-    if (!fcmAvailable || process.env.USE_LEGACY_FCM !== 'true') {
-      if (isImageUpdate) {
-        console.log(`[Proxy] Updating notification image via Cloudflare Worker proxy (tag: ${notificationTag})`);
-      } else {
-        console.log(`[Proxy] Sending notification via Cloudflare Worker proxy (tag: ${notificationTag})`);
-      }
-      
-      const proxyPayload = {
-        token: fcmToken,
-        // DATA-ONLY message (no 'notification' field)
-        // This ensures FrigateMessagingService.onMessageReceived() is ALWAYS called,
-        // even when app is in background, so it can fetch authenticated images
-        data: {
-          title: title || 'Frigate Alert',
-          body: body || 'Motion detected',
-          thumbnailUrl: thumbnailUrl || '',
-          jwtToken: jwtToken || '',
-          camera: camera || '',
-          reviewId: reviewId || '',
-          eventId: eventId || '',
-          timestamp: timestamp?.toString() || '',
-          severity: severity || 'alert',
-          notificationType: 'frigate_alert',
-          notificationTag: notificationTag, // For Android grouping/replacing
-          imageMode: imageMode || 'static', // 'static' or 'animated' - tells app which image to fetch
-        },
-        // High priority for data-only messages (required for background delivery)
-        android: {
-          priority: 'high',
-          // Note: channelId removed from payload - channel is created by FrigateMessagingService
+    // Buttons that call back into the bridge (snooze camera, mute label, mark reviewed)
+    const actions = buildNotificationActions({ token: fcmToken, instance: instance || PRIMARY_INSTANCE, camera, label, reviewId });
+
+    // DATA-ONLY message (no 'notification' field), identical in direct and proxy mode
+    // This ensures FrigateMessagingService.onMessageReceived() is ALWAYS called,
+    // even when app is in background, so it can fetch authenticated images
+    const message = {
+      data: {
+        title: title || 'Frigate Alert',
+        body: body || 'Motion detected',
+        thumbnailUrl: thumbnailUrl || '',
+        jwtToken: jwtToken || '',
+        camera: camera || '',
+        instance: instance || '',
+        reviewId: reviewId || '',
+        eventId: eventId || '',
+        timestamp: timestamp?.toString() || '',
+        severity: severity || 'alert',
+        notificationType: 'frigate_alert',
+        notificationTag: notificationTag, // For Android grouping/replacing
+        imageMode: imageMode || 'static', // 'static' or 'animated' - tells app which image to fetch
+        silent: silent ? 'true' : 'false', // Downgraded by a schedule - app shows it without sound
+        summary: isSummary ? 'true' : 'false', // Review ended - replaces the alert (same notificationTag)
+        digest: digest ? 'true' : 'false', // Batched alerts - replaces the first one (same notificationTag)
+        ...(digest && { digestCount: digest.count.toString(), digestReviewIds: digest.reviewIds.join(',') }),
+        endTime: endTime?.toString() || '',
+        // Footage links (empty when not available yet, e.g. clipUrl before the review ends)
+        previewGifUrl: links.previewGif || '',
+        previewMp4Url: links.previewMp4 || '',
+        clipUrl: links.clip || '',
+        eventClipUrl: links.eventClip || '',
+        recordingUrl: links.recording || '',
+        ...(actions && { actions: JSON.stringify(actions) }), // { url, label, expires, sig, buttons: [{ id, title }] }
+      },
+      // High priority for data-only messages (required for background delivery)
+      android: {
+        priority: 'high',
+        // Note: channelId removed from payload - channel is created by FrigateMessagingService
+      },
+      apns: {
+        headers: {
+          'apns-priority': '10',
         },
-        apns: {
-          headers: {
-            'apns-priority': '10',
-          },
-          payload: {
-            aps: {
-              'mutable-content': 1,
-              'content-available': 1,
-            },
+        payload: {
+          aps: {
+            'mutable-content': 1,
+            'content-available': 1,
           },
         },
-      };
+      },
+    };
 
-      const response = await axios.post(NOTIFICATION_PROXY_URL, proxyPayload, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${NOTIFICATION_PROXY_TOKEN}`,
-        },
-        timeout: 10000,
-      });
+    // Inline snapshot (imageDelivery 'inline') - the app shows it without fetching anything
+    const image = snapshot && await getPayloadImage(message.data, snapshot);
+    if (image) {
+      Object.assign(message.data, { imageData: image.data.toString('base64'), imageType: image.contentType });
+    }
+
+    const dropped = fitPushPayload(message.data, message.data, FCM_OPTIONAL_FIELDS);
+    if (dropped.length > 0) {
+      console.warn(`[FCM] Payload over ${PUSH_PAYLOAD_LIMIT} bytes - left out: ${dropped.join(', ')}`);
+    }
 
-      if (response.data.success) {
-        console.log('[Proxy] Notification sent successfully:', response.data.messageId);
-        return true;
+    // Direct mode: send with the Firebase Admin SDK using the local service account
+    if (fcmAvailable) {
+      if (digest) {
+        console.log(`[FCM] Replacing notification with digest of ${digest.count} alerts via Firebase Admin SDK (tag: ${notificationTag})`);
+      } else if (isSummary) {
+        console.log(`[FCM] Replacing notification with review summary via Firebase Admin SDK (tag: ${notificationTag})`);
+      } else if (isImageUpdate) {
+        console.log(`[FCM] Updating notification image via Firebase Admin SDK (tag: ${notificationTag})`);
       } else {
-        console.error('[Proxy] Failed to send notification:', response.data.error);
-        return false;
+        console.log(`[FCM] Sending notification via Firebase Admin SDK (tag: ${notificationTag})`);
       }
+
+      const messageId = await admin.messaging().send({ token: fcmToken, ...message });
+      console.log('[FCM] Notification sent successfully:', messageId);
+      return { success: true, messageId };
     }
 
-    // No direct FCM fallback - proxy is required
-    console.error('[Notification] Proxy failed and no fallback configured');
-    console.error('[Notification] Please ensure your Cloudflare Worker proxy is running');
-    return false;
+    // Proxy mode: use Cloudflare Worker proxy (secure, recommended)
+    if (digest) {
+      console.log(`[Proxy] Replacing notification with digest of ${digest.count} alerts via Cloudflare Worker proxy (tag: ${notificationTag})`);
+    } else if (isSummary) {
+      console.log(`[Proxy] Replacing notification with review summary via Cloudflare Worker proxy (tag: ${notificationTag})`);
+    } else if (isImageUpdate) {
+      console.log(`[Proxy] Updating notification image via Cloudflare Worker proxy (tag: ${notificationTag})`);
+    } else {
+      console.log(`[Proxy] Sending notification via Cloudflare Worker proxy (tag: ${notificationTag})`);
+    }
+
+    const observeLatency = metrics.proxyLatency.startTimer();
+    const response = await axios.post(NOTIFICATION_PROXY_URL, { token: fcmToken, ...message }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${NOTIFICATION_PROXY_TOKEN}`,
+      },
+      timeout: 10000,
+    }).finally(() => observeLatency());
+
+    if (response.data.success) {
+      console.log('[Proxy] Notification sent successfully:', response.data.messageId);
+      return { success: true, messageId: response.data.messageId };
+    } else {
+      console.error('[Proxy] Failed to send notification:', response.data.error);
+      return {
+        success: false,
+        error: response.data.error || 'Proxy rejected notification',
+        permanent: isPermanentTokenError(response.data.error, response.data.code),
+      };
+    }
 
   } catch (error) {
     console.error('[Notification] Failed to send:', error.message);
@@ -1184,47 +4677,74 @@ async function sendFCMNotification(fcmToken, notificationData) {
       console.error('[Notification] Response status:', error.response.status);
       console.error('[Notification] Response data:', error.response.data);
     }
-    if (error.code === 'messaging/invalid-registration-token' || 
-        error.code === 'messaging/registration-token-not-registered') {
+    const permanent = error.code === 'messaging/invalid-registration-token' ||
+      error.code === 'messaging/registration-token-not-registered' ||
+      isPermanentTokenError(error.response?.data);
+    if (permanent) {
       console.error('[Notification] Token is invalid or expired - device should re-register');
     }
-    return false;
+    // Firebase Admin SDK errors carry a messaging/* code instead of an HTTP response
+    const retryable = error.code?.startsWith('messaging/')
+      ? FCM_RETRYABLE_ERROR_CODES.includes(error.code)
+      : isRetryableHttpError(error);
+    return {
+      success: false,
+      error: error.response?.data?.error || error.code || error.message,
+      permanent,
+      retryable: !permanent && retryable,
+    };
   }
 }
 
 /**
  * Send Expo Push notification (legacy, fallback)
+ * Returns { success, messageId, error, permanent }
  */
 async function sendExpoPushNotification(expoToken, notificationData) {
   try {
-    const { title, body, thumbnailUrl, camera, reviewId, eventId, timestamp, severity, isImageUpdate } = notificationData;
+    const { title, body, thumbnailUrl, camera, instance, reviewId, eventId, timestamp, severity, isSummary, endTime, links, digest, silent, snapshot } = notificationData;
 
     const message = {
       to: expoToken,
-      sound: 'default',
+      sound: silent ? null : 'default',
       title: title || 'Frigate Alert',
       body: body || 'Motion detected',
-      priority: 'high', // Always high for alerts
+      priority: silent ? 'normal' : 'high', // High for alerts unless downgraded by a schedule
       categoryId: 'frigate_alert',
       channelId: 'frigate_alerts', // Android notification channel
       data: {
         reviewId,
         camera,
+        instance,
         severity,
         timestamp,
         eventId,
         thumbnailUrl,
         type: 'frigate_alert',
         action: 'live',
+        ...(isSummary && { summary: true }),
+        ...(digest && { digest }),
+        endTime,
+        links,
       },
     };
 
     // Note: Expo Push cannot fetch authenticated images
-    // This is why we're migrating to FCM
+    // This is why we're migrating to FCM (or use imageDelivery 'inline'/'hosted')
     if (thumbnailUrl) {
       message.image = thumbnailUrl; // Will fail with 401 for authenticated endpoints
     }
 
+    const image = snapshot && await getPayloadImage(message, snapshot);
+    if (image) {
+      Object.assign(message.data, { imageData: image.data.toString('base64'), imageType: image.contentType });
+    }
+
+    const dropped = fitPushPayload(message, message.data, EXPO_OPTIONAL_FIELDS);
+    if (dropped.length > 0) {
+      console.warn(`[Expo] Payload over ${PUSH_PAYLOAD_LIMIT} bytes - left out: ${dropped.join(', ')}`);
+    }
+
     const response = await axios.post(
       'https://exp.host/--/api/v2/push/send',
       [message],
@@ -1239,32 +4759,171 @@ async function sendExpoPushNotification(expoToken, notificationData) {
       const result = response.data.data[0];
       if (result.status === 'ok') {
         console.log('[Expo] Message sent:', result.id);
-        return true;
+        return { success: true, messageId: result.id };
       } else {
         console.error('[Expo] Error:', result.message);
-        return false;
+        return {
+          success: false,
+          error: result.details?.error || result.message,
+          permanent: isPermanentTokenError(result.details?.error),
+          retryable: result.details?.error === 'MessageRateExceeded',
+        };
       }
     }
+    return { success: false, error: 'Empty response from Expo', retryable: true };
   } catch (error) {
     console.error('[Expo] Failed to send:', error.message);
-    return false;
+    return { success: false, error: error.message, retryable: isRetryableHttpError(error) };
+  }
+}
+
+// === DIGESTS ===
+//
+// Devices with a digestWindow get the first alert right away, which opens a window of that many
+// seconds. Alerts arriving during the window are collected instead of sent. When the window closes,
+// one notification ("5 alerts: Person ×3 on backyard, Dog ×2 on driveway") replaces the first alert
+// (same notificationTag), with the best thumbnail of the batch. Image updates for collected alerts
+// improve the digest's thumbnail; once a digest is sent, image updates and summaries for its alerts
+// are skipped so they don't overwrite it. Pending digests are kept in memory only.
+
+const DIGEST_WINDOW_MIN = 10; // seconds
+const DIGEST_WINDOW_MAX = 3600;
+
+// token → { startedAt, timer, alerts: [{ reviewId, camera, objects, thumbnailUrl, snapshotSource, ... }] }
+const digests = new Map();
+// reviewId → tokens whose phone shows the review inside a sent digest (dropped when the review ends)
+const digestedReviews = new Map();
+
+// 'first' (opened the pending digest), 'collected' (waiting in it), 'digested' (part of a sent digest) or null
+function getDigestState(token, reviewId) {
+  const alerts = digests.get(token)?.alerts || [];
+  const index = alerts.findIndex(alert => alert.reviewId === reviewId);
+  if (index !== -1) {
+    return index === 0 ? 'first' : 'collected';
+  }
+  return digestedReviews.get(reviewId)?.has(token) ? 'digested' : null;
+}
+
+function openDigest(token, device, alert) {
+  const timer = setTimeout(() => {
+    flushDigest(token).catch(err => console.error(`[Digest] Error sending digest:`, err.message));
+  }, device.digestWindow * 1000);
+  digests.set(token, { startedAt: Date.now(), timer, alerts: [alert] });
+}
+
+// Replace a pending alert with a newer version of itself (better thumbnail from an image update)
+function updateDigestAlert(token, alert) {
+  const alerts = digests.get(token)?.alerts || [];
+  const index = alerts.findIndex(item => item.reviewId === alert.reviewId);
+  if (index !== -1) {
+    alerts[index] = { ...alerts[index], ...alert, silent: alerts[index].silent };
+  }
+}
+
+// "Person ×3 on backyard, Dog ×2 on driveway" - most frequent first
+function formatDigestSummary(alerts) {
+  const counts = new Map(); // `${label}|${camera}` → alerts
+  for (const alert of alerts) {
+    for (const label of (alert.objects.length > 0 ? alert.objects : ['activity'])) {
+      const key = `${label}|${alert.camera}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => {
+      const [label, camera] = key.split('|');
+      return `${label.charAt(0).toUpperCase() + label.slice(1)}${count > 1 ? ` ×${count}` : ''} on ${camera.replace(/_/g, ' ')}`;
+    })
+    .join(', ');
+}
+
+// Review thumbnails beat event thumbnails, then more tracked objects, then the latest alert
+function pickDigestThumbnail(alerts) {
+  return alerts.reduce((best, alert) => {
+    const rank = item => [item.thumbPath ? 1 : 0, item.objectCount];
+    const [bestThumb, bestCount] = rank(best);
+    const [thumb, count] = rank(alert);
+    return thumb > bestThumb || (thumb === bestThumb && count >= bestCount) ? alert : best;
+  });
+}
+
+// Send the digest for a device when its window closes (nothing to send if only the first alert came)
+async function flushDigest(token) {
+  const digest = digests.get(token);
+  digests.delete(token);
+  const device = devices.get(token);
+  if (!digest || !device || digest.alerts.length < 2) {
+    return;
+  }
+
+  const { alerts } = digest;
+  const firstReviewId = alerts[0].reviewId;
+  // Reviews still in progress (ended ones are already cleaned up and won't send anything else)
+  for (const alert of alerts.filter(item => sentNotifications.has(item.reviewId))) {
+    if (!digestedReviews.has(alert.reviewId)) {
+      digestedReviews.set(alert.reviewId, new Set());
+    }
+    digestedReviews.get(alert.reviewId).add(token);
+  }
+
+  const best = pickDigestThumbnail(alerts);
+  const instance = getFrigateInstance(best.instance) || getFrigateInstance(PRIMARY_INSTANCE);
+  const title = `${alerts.length} alerts`;
+  const body = formatDigestSummary(alerts);
+  const transportType = getTransportType(token, device);
+  const imageDelivery = best.hasSnapshot ? getImageDelivery(device, transportType) : 'link';
+  const digestLinks = getTransportLinks(transportType, best.links);
+  // The first alert already made a sound; the digest only does if a collected alert would have
+  const silent = alerts.slice(1).every(alert => alert.silent);
+
+  console.log(`[Digest] Sending digest to ${device.name || 'Unknown'}: ${title} - ${body}`);
+  const historyEntry = recordHistory({
+    reviewId: firstReviewId,
+    instance: best.instance,
+    camera: best.camera,
+    objects: [...new Set(alerts.flatMap(alert => alert.objects))],
+    severity: 'alert',
+    decision: 'digest',
+    reason: `${alerts.length} alerts in ${Math.round((Date.now() - digest.startedAt) / 1000)}s: ${alerts.map(alert => alert.reviewId).join(', ')}`,
+  });
+
+  const result = await deliverNotification(token, {
+    title,
+    body,
+    thumbnailUrl: getImageUrl(transportType, imageDelivery, best.snapshotSource, best.thumbnailUrl),
+    jwtToken: getPayloadJwt(instance),
+    camera: best.camera,
+    instance: best.instance,
+    label: best.objects[0] || null,
+    reviewId: firstReviewId, // Same notificationTag as the first alert, so the digest replaces it
+    eventId: best.eventId,
+    timestamp: alerts[0].startTime,
+    severity: 'alert',
+    isImageUpdate: false,
+    digest: { count: alerts.length, reviewIds: alerts.map(alert => alert.reviewId) },
+    links: digestLinks,
+    clickUrl: getClickUrl(digestLinks),
+    imageMode: device.imageMode || 'static',
+    silent,
+    ...(imageDelivery === 'inline' && { snapshot: best.snapshotSource }),
+  }, historyEntry);
+  if (result.success) {
+    stats.notificationsSent++;
   }
 }
 
 // Send push notifications for frigate/reviews (new format)
+// Returns the tokens the notification was sent to (used to target later image updates)
 async function sendReviewNotification(review) {
-  if (pushTokens.size === 0) {
+  if (devices.size === 0) {
     console.log('[Push] No registered tokens, skipping notification');
-    return;
+    return [];
   }
   
-  const { reviewId, camera, severity, objects, zones, detections, thumbPath, startTime, isImageUpdate = false } = review;
-  
-  // Format objects list for notification title
-  const objectsList = objects.length > 0 ? objects.join(', ') : 'Activity';
-  const capitalizedObjects = objectsList.split(', ').map(obj => 
-    obj.charAt(0).toUpperCase() + obj.slice(1)
-  ).join(', ');
+  const { reviewId, camera, severity, objects, subLabels = [], zones, detections, thumbPath, startTime, endTime = null, isImageUpdate = false, isSummary = false, downgraded = false, onlyTokens, historyEntry = null } = review;
+  const instance = review.instance || getFrigateInstance(PRIMARY_INSTANCE);
+  const cameraId = qualifyCamera(camera, instance.name);
   
   // Extract first event ID for deep linking and thumbnail fallback
   const firstEventId = detections.length > 0 ? detections[0] : null;
@@ -1272,23 +4931,33 @@ async function sendReviewNotification(review) {
   // Build thumbnail URL - smart fallback strategy like Frigate PWA
   let thumbnailUrl = null;
   
-  if (thumbPath && bridgeConfig.externalFrigateUrl) {
+  // Same sources for devices that get the picture from the bridge (imageDelivery 'inline' or 'hosted')
+  const snapshotSource = {
+    instance: instance.name,
+    id: reviewId,
+    thumbPath: thumbPath ? thumbPath.replace('/media/frigate', '') : null,
+    eventId: firstEventId,
+  };
+  const hasSnapshot = Boolean(snapshotSource.thumbPath || snapshotSource.eventId);
+  
+  if (thumbPath && (MEDIA_PUBLIC_URL || instance.externalUrl)) {
     // Option 1: Use review thumbnail path (webp) - best quality, shows all detected objects
     // Format: /media/frigate/clips/review/thumbnails/{reviewId}.webp
     const cleanPath = thumbPath.replace('/media/frigate', '');
-    thumbnailUrl = `${bridgeConfig.externalFrigateUrl}${cleanPath}`;
-    
-    if (bridgeConfig.frigateJwtToken) {
-      thumbnailUrl += `?token=${bridgeConfig.frigateJwtToken}`;
+    if (MEDIA_PUBLIC_URL) {
+      // Signed bridge link - the JWT stays on the bridge
+      thumbnailUrl = buildSignedMediaUrl('review', instance, reviewId, cleanPath);
+    } else {
+      thumbnailUrl = withFrigateToken(instance, `${instance.externalUrl}${cleanPath}`);
     }
     console.log(`[Push] ✅ Review thumbnail (webp): ${cleanPath}`);
-  } else if (firstEventId && bridgeConfig.externalFrigateUrl) {
+  } else if (firstEventId && (MEDIA_PUBLIC_URL || instance.externalUrl)) {
     // Option 2: Fallback to Events API (JPG) - reliable but lower quality than webp
     // Note: /api/notifications/ doesn't work, but /api/events/ does!
-    thumbnailUrl = `${bridgeConfig.externalFrigateUrl}/api/events/${firstEventId}/thumbnail.jpg`;
-    
-    if (bridgeConfig.frigateJwtToken) {
-      thumbnailUrl += `?token=${bridgeConfig.frigateJwtToken}`;
+    if (MEDIA_PUBLIC_URL) {
+      thumbnailUrl = buildSignedMediaUrl('event', instance, firstEventId);
+    } else {
+      thumbnailUrl = withFrigateToken(instance, `${instance.externalUrl}/api/events/${firstEventId}/thumbnail.jpg`);
     }
     console.log(`[Push] Events API fallback (JPG) - event: ${firstEventId}`);
   } else {
@@ -1298,104 +4967,201 @@ async function sendReviewNotification(review) {
     console.log(`[Push] This notification will arrive WITHOUT an image`);
   }
   
-  // Format camera name
-  const formattedCamera = camera.replace(/_/g, ' ');
-  
-  // Helper function to format template with event data
-  const formatTemplate = (template, eventData) => {
-    return template
-      .replace(/{label}/g, eventData.capitalizedLabel)
-      .replace(/{camera}/g, eventData.cameraFormatted)
-      .replace(/{zones}/g, eventData.zones || 'Unknown')
-      .replace(/{time}/g, eventData.time)
-      .replace(/{score}/g, eventData.scoreFormatted);
-  };
-  
-  // Prepare data for template formatting
-  const templateData = {
-    capitalizedLabel: capitalizedObjects,
-    cameraFormatted: formattedCamera,
-    zones: zones.length > 0 ? zones.join(', ') : '',
-    time: new Date(startTime * 1000).toLocaleTimeString(),
-    scoreFormatted: '', // Review segments don't have scores
+  // Template variables ({score} needs the review's events from Frigate, fetched once if a device uses it)
+  const templateData = buildTemplateData({
+    objects,
+    subLabels,
+    camera,
+    zones,
+    startTime,
+    endTime,
+    severity,
+    objectCount: detections.length || objects.length,
+    instance: instance.name,
+  });
+  let topScore;
+
+  // Previews, clips and timeline (summaries link to the recorded clip, alerts to the timeline)
+  const links = buildFootageLinks(instance, { reviewId, eventId: firstEventId, camera, startTime, endTime });
+  Object.assign(templateData, footageTemplateData(links));
+
+  // This alert as a digest entry (see DIGESTS)
+  const digestAlert = {
+    reviewId,
+    instance: instance.name,
+    camera,
+    objects,
+    objectCount: detections.length || objects.length,
+    eventId: firstEventId,
+    startTime,
+    thumbPath,
+    thumbnailUrl,
+    snapshotSource,
+    hasSnapshot,
+    links,
   };
   
   // IMPORTANT: Keep full URL with ?token= parameter for notification images
   // OS notification systems fetch images BEFORE app opens, so token must be in URL
   console.log(`[Push] Sending notification(s) for review ${reviewId} (${severity})`);
-  console.log(`[Push] Registered devices: ${pushTokens.size}`);
+  console.log(`[Push] Registered devices: ${devices.size}`);
   if (thumbnailUrl) {
-    console.log(`[Push] Thumbnail URL (with auth): ${thumbnailUrl}`);
+    console.log(`[Push] Thumbnail URL: ${redactUrl(thumbnailUrl)}`);
   }
   
   // Send to each registered device
-  let fcmCount = 0;
-  let expoCount = 0;
+  const transportCounts = {}; // transport → devices sent to
   let successCount = 0;
-  
-  for (const token of pushTokens) {
+  const notifiedTokens = [];
+
+  for (const token of devices.keys()) {
     try {
-      // Get device-specific templates (or use defaults)
       const device = devices.get(token);
-      const templates = device?.templates || {
-        title: '{label} detected on {camera}',
-        body: 'Motion in {zones} at {time}',
-      };
+
+      // Image updates only go to devices that received the original notification
+      if (onlyTokens && !onlyTokens.includes(token)) {
+        continue;
+      }
+
+      // Devices whose token was reported dead stay silent until they re-register
+      if (isDeviceInactive(device)) {
+        recordSkippedDelivery(historyEntry, token, 'inactive', 'device inactive');
+        continue;
+      }
+
+      // Per-device filters (global filters already passed in processReviewMessage)
+      const deviceFilterReason = getDeviceFilterReason(device, severity, cameraId, objects, zones, subLabels, detections.length);
+      if (deviceFilterReason) {
+        console.log(`[Filter] Skipping ${device?.name || 'Unknown'} - review ${reviewId}: ${deviceFilterReason}`);
+        recordSkippedDelivery(historyEntry, token, 'device_filter', deviceFilterReason);
+        continue;
+      }
+
+      // Per-device schedules (quiet hours) in the device's own timezone
+      const deviceTimezone = resolveTimezone(device);
+      const deviceSchedule = evaluateSchedules(device?.schedules, cameraId, objects, deviceTimezone);
+      if (deviceSchedule.action === 'mute') {
+        console.log(`[Schedule] Skipping ${device?.name || 'Unknown'} - muted by schedule "${deviceSchedule.schedule.name || deviceSchedule.schedule.id}"`);
+        recordSkippedDelivery(historyEntry, token, 'device_schedule', `device schedule "${deviceSchedule.schedule.name || deviceSchedule.schedule.id}"`);
+        continue;
+      }
+      const silent = downgraded || deviceSchedule.action === 'downgrade';
+
+      // Snoozed camera or label
+      const snooze = findSnooze(token, cameraId, objects);
+      if (snooze) {
+        console.log(`[Snooze] Skipping ${device?.name || 'Unknown'} - ${describeSnooze(snooze)}`);
+        recordSkippedDelivery(historyEntry, token, 'snooze', describeSnooze(snooze));
+        continue;
+      }
+
+      // Digest mode: collect alerts while the device's window is open
+      const digestState = getDigestState(token, reviewId);
+      if (isImageUpdate && (digestState === 'first' || digestState === 'collected')) {
+        updateDigestAlert(token, digestAlert);
+      }
+      if (isImageUpdate || isSummary) {
+        if (digestState === 'collected' || digestState === 'digested') {
+          console.log(`[Digest] Skipping ${isSummary ? 'summary' : 'image update'} for ${device?.name || 'Unknown'} - review ${reviewId} is part of a digest`);
+          continue;
+        }
+      } else if (device?.digestWindow) {
+        if (digests.has(token)) {
+          digests.get(token).alerts.push({ ...digestAlert, silent });
+          console.log(`[Digest] Collected ${reviewId} for ${device?.name || 'Unknown'} (${digests.get(token).alerts.length} alerts in window)`);
+          recordHistoryDelivery(historyEntry, token, { status: 'digest', reason: 'collected into a digest' });
+          notifiedTokens.push(token);
+          continue;
+        }
+      }
+
+      // Per-device rate limit (image updates and summaries replace an existing notification, so they don't count)
+      if (!isImageUpdate && !isSummary) {
+        if (isDeviceRateLimited(token, device)) {
+          console.log(`[RateLimit] Skipping ${device?.name || 'Unknown'} - ${device.maxPerMinute}/min limit reached`);
+          stats.suppressed.rateLimit++;
+          recordSkippedDelivery(historyEntry, token, 'rate_limit', `rate limit (${device.maxPerMinute}/min)`);
+          continue;
+        }
+        recordDeviceSend(token);
+        if (device?.digestWindow) {
+          openDigest(token, device, { ...digestAlert, silent });
+        }
+      }
+      notifiedTokens.push(token);
+
+      // Format title and body with the device's templates ({time} in the device's timezone)
+      const deviceTemplates = isSummary
+        ? device?.summaryTemplates || notificationTemplates.DEFAULT_SUMMARY_TEMPLATES
+        : device?.templates || notificationTemplates.DEFAULT_TEMPLATES;
+      if (topScore === undefined && (notificationTemplates.uses(deviceTemplates.title, 'score') || notificationTemplates.uses(deviceTemplates.body, 'score'))) {
+        topScore = await fetchTopScore(instance, detections);
+        templateData.score = topScore === null ? '' : `${Math.round(topScore * 100)}%`;
+      }
+      const transportType = getTransportType(token, device);
+      const deviceLinks = getTransportLinks(transportType, links);
+      const { title, body } = renderDeviceTemplates(device, { ...templateData, ...footageTemplateData(deviceLinks) }, deviceTemplates);
       
-      // Format title and body with templates
-      const title = formatTemplate(templates.title, templateData);
-      const body = formatTemplate(templates.body, templateData);
+      const imageDelivery = hasSnapshot ? getImageDelivery(device, transportType) : 'link';
       
       console.log(`[Push] Device: ${device?.name || 'Unknown'} (${device?.platform || 'unknown'})`);
       console.log(`[Push]   Title: "${title}"`);
       console.log(`[Push]   Body: "${body}"`);
-      console.log(`[Push]   Image Mode: ${device?.imageMode || 'static'}`);
+      console.log(`[Push]   Image Mode: ${device?.imageMode || 'static'} (${imageDelivery})`);
+      if (silent) {
+        console.log(`[Push]   Delivery: silent (downgraded by schedule)`);
+      }
       
       // Prepare notification data
       const notificationData = {
         title,
         body,
-        thumbnailUrl: thumbnailUrl, // Full URL with ?token= for OS to fetch image
-        jwtToken: bridgeConfig.frigateJwtToken, // Also include JWT for app deep linking
+        thumbnailUrl: getImageUrl(transportType, imageDelivery, snapshotSource, thumbnailUrl), // Signed bridge link, or the Frigate URL (see withFrigateToken)
+        jwtToken: getPayloadJwt(instance), // JWT for app deep linking (not with BRIDGE_PUBLIC_URL or MEDIA_TOKEN_IN_URLS=false)
         camera,
+        instance: instance.name, // Which Frigate server the review came from
+        label: objects[0] || null, // Label the "mute" action applies to
         reviewId,
         eventId: firstEventId,
         timestamp: startTime,
         severity,
         isImageUpdate, // Flag for progressive image enhancement
+        isSummary, // Replaces the alert once the review has ended
+        endTime,
+        links: deviceLinks, // Footage links (see buildFootageLinks)
+        clickUrl: getClickUrl(deviceLinks, isSummary), // Opened by ntfy, Gotify and Pushover
         imageMode: device?.imageMode || 'static', // 'static' or 'animated'
+        silent, // Downgraded by a schedule - deliver without sound
+        ...(imageDelivery === 'inline' && { snapshot: snapshotSource }), // Image fetched by the bridge and sent inline
       };
       
-      // Detect token type and send via appropriate service
-      if (isFCMToken(token)) {
-        console.log(`[Push]   Type: FCM`);
-        fcmCount++;
-        const success = await sendFCMNotification(token, notificationData);
-        if (success) successCount++;
-      } else {
-        console.log(`[Push]   Type: Expo Push (legacy)`);
-        expoCount++;
-        const success = await sendExpoPushNotification(token, notificationData);
-        if (success) successCount++;
-      }
+      // Send via the device's transport (FCM, Expo, ntfy, Gotify, Pushover)
+      console.log(`[Push]   Type: ${transportType}`);
+      transportCounts[transportType] = (transportCounts[transportType] || 0) + 1;
+      const result = await deliverNotification(token, notificationData, historyEntry);
+      if (result.success) successCount++;
     } catch (error) {
       console.error(`[Push] Error sending to token:`, error.message);
+      recordHistoryDelivery(historyEntry, token, { status: 'failed', error: error.message });
     }
   }
   
   stats.notificationsSent += successCount;
-  console.log(`[Push] Sent ${successCount}/${pushTokens.size} notifications (${fcmCount} FCM, ${expoCount} Expo)`);
+  const transportSummary = Object.entries(transportCounts).map(([type, count]) => `${count} ${type}`).join(', ');
+  console.log(`[Push] Sent ${successCount}/${notifiedTokens.length} notifications (${transportSummary || 'none'})`);
+  return notifiedTokens;
 }
 
 // Send push notifications to all registered tokens (legacy frigate/events format)
-async function sendPushNotifications(event) {
-  if (pushTokens.size === 0) {
+async function sendPushNotifications(event, { instance = getFrigateInstance(PRIMARY_INSTANCE), downgraded = false, historyEntry = null } = {}) {
+  if (devices.size === 0) {
     console.log('[Push] No registered tokens, skipping notification');
     return;
   }
   
   const label = event.after?.label || 'Object';
   const camera = event.after?.camera || 'Unknown';
+  const cameraId = qualifyCamera(camera, instance.name);
   const score = event.after?.score ? `(${Math.round(event.after.score * 100)}%)` : '';
   
   // Send Unix timestamp to mobile app so it can format in user's local timezone
@@ -1405,74 +5171,155 @@ async function sendPushNotifications(event) {
   // Frigate supports ?token=xxx query parameter for authentication
   const eventId = event.after?.id;
   
+  // Image source for devices that get the picture from the bridge (imageDelivery 'inline' or 'hosted')
+  const snapshotSource = eventId ? { instance: instance.name, id: eventId, thumbPath: null, eventId } : null;
+  
   let thumbnailUrl = null;
-  if (eventId) {
-    thumbnailUrl = `${bridgeConfig.externalFrigateUrl}/api/events/${eventId}/thumbnail.jpg`;
-    // Add JWT token if configured (allows auth without custom headers)
-    if (bridgeConfig.frigateJwtToken) {
-      thumbnailUrl += `?token=${bridgeConfig.frigateJwtToken}`;
-    }
+  if (eventId && MEDIA_PUBLIC_URL) {
+    // Signed bridge link - the JWT stays on the bridge
+    thumbnailUrl = buildSignedMediaUrl('event', instance, eventId);
+  } else if (eventId) {
+    // JWT in the query string unless MEDIA_TOKEN_IN_URLS=false (see withFrigateToken)
+    thumbnailUrl = withFrigateToken(instance, `${instance.externalUrl}/api/events/${eventId}/thumbnail.jpg`);
   }
   
-  // Capitalize label for cleaner display
-  const capitalizedLabel = label.charAt(0).toUpperCase() + label.slice(1);
-  
-  // Helper function to format template with event data
-  const formatTemplate = (template, eventData) => {
-    return template
-      .replace(/{label}/g, eventData.capitalizedLabel)
-      .replace(/{camera}/g, eventData.cameraFormatted)
-      .replace(/{zones}/g, eventData.zones || 'Unknown')
-      .replace(/{time}/g, eventData.time)
-      .replace(/{score}/g, eventData.scoreFormatted);
-  };
+  // Previews and clips of the tracked object
+  const links = buildFootageLinks(instance, {
+    eventId,
+    camera,
+    startTime,
+    endTime: event.after?.end_time || null,
+    hasClip: event.after?.has_clip,
+  });
   
-  // Prepare data for template formatting
-  const templateData = {
-    capitalizedLabel: capitalizedLabel,
-    cameraFormatted: camera.replace(/_/g, ' '),
-    zones: event.after?.current_zones?.join(', ') || '',
-    time: new Date(startTime * 1000).toLocaleTimeString(),
-    scoreFormatted: event.after?.score ? `${Math.round(event.after.score * 100)}%` : '',
-  };
+  // Template variables
+  const subLabels = getEventSubLabels(event.after);
+  const templateData = buildTemplateData({
+    objects: [label],
+    subLabels,
+    camera,
+    zones: event.after?.current_zones || [],
+    startTime,
+    endTime: event.after?.end_time || null,
+    score: event.after?.top_score || event.after?.score || null,
+    objectCount: 1,
+    instance: instance.name,
+  });
+  Object.assign(templateData, footageTemplateData(links));
   
-  // Prepare notification messages for all tokens (with per-device templates)
-  const messages = Array.from(pushTokens).map(token => {
-    // Get device-specific templates (or use defaults)
+  // Only devices whose own filters and schedules accept this event (legacy events have no severity)
+  const targetTokens = Array.from(devices.keys()).filter(token => {
     const device = devices.get(token);
-    const templates = device?.templates || {
-      title: '{label} detected on {camera}',
-      body: 'Motion in {zones} at {time}',
-    };
+    if (isDeviceInactive(device)) {
+      recordSkippedDelivery(historyEntry, token, 'inactive', 'device inactive');
+      return false;
+    }
+    const deviceFilterReason = getDeviceFilterReason(device, null, cameraId, [label], event.after?.current_zones || [], subLabels, 1);
+    if (deviceFilterReason) {
+      recordSkippedDelivery(historyEntry, token, 'device_filter', deviceFilterReason);
+      return false;
+    }
+    const deviceSchedule = evaluateSchedules(device?.schedules, cameraId, [label], resolveTimezone(device));
+    if (deviceSchedule.action === 'mute') {
+      recordSkippedDelivery(historyEntry, token, 'device_schedule', `device schedule "${deviceSchedule.schedule.name || deviceSchedule.schedule.id}"`);
+      return false;
+    }
+    const snooze = findSnooze(token, cameraId, [label]);
+    if (snooze) {
+      recordSkippedDelivery(historyEntry, token, 'snooze', describeSnooze(snooze));
+      return false;
+    }
+    if (isDeviceRateLimited(token, device)) {
+      console.log(`[RateLimit] Skipping ${device?.name || 'Unknown'} - ${device.maxPerMinute}/min limit reached`);
+      stats.suppressed.rateLimit++;
+      recordSkippedDelivery(historyEntry, token, 'rate_limit', `rate limit (${device.maxPerMinute}/min)`);
+      return false;
+    }
+    recordDeviceSend(token);
+    return true;
+  });
+
+  if (targetTokens.length === 0) {
+    console.log('[Filter] No devices accept this event, skipping notification');
+    return;
+  }
+
+  // Format title/body for a device with its own templates, timezone and footage links
+  const formatForDevice = (device, deviceLinks = links) => ({
+    ...renderDeviceTemplates(device, { ...templateData, ...footageTemplateData(deviceLinks) }),
+    silent: downgraded || evaluateSchedules(device?.schedules, cameraId, [label], resolveTimezone(device)).action === 'downgrade',
+  });
+
+  // Self-hosted transports (ntfy, Gotify, Pushover) are sent one by one; the rest go to Expo in one batch
+  const selfHostedTokens = targetTokens.filter(token => selfHostedTransports[devices.get(token)?.tokenType]);
+  const expoTokens = targetTokens.filter(token => !selfHostedTokens.includes(token));
+
+  // 'link' (or no event to fetch), 'inline' or 'hosted' for a device
+  const imageDeliveryFor = token => snapshotSource ? getImageDelivery(devices.get(token), getTransportType(token, devices.get(token))) : 'link';
+
+  for (const token of selfHostedTokens) {
+    const deviceLinks = getTransportLinks(devices.get(token).tokenType, links);
+    const { title, body, silent } = formatForDevice(devices.get(token), deviceLinks);
+    const imageDelivery = imageDeliveryFor(token);
+    const result = await deliverNotification(token, {
+      title,
+      body,
+      thumbnailUrl: getImageUrl(devices.get(token).tokenType, imageDelivery, snapshotSource, thumbnailUrl),
+      camera,
+      instance: instance.name,
+      eventId,
+      timestamp: startTime,
+      silent,
+      links: deviceLinks,
+      clickUrl: deviceLinks.eventClip,
+      ...(imageDelivery === 'inline' && { snapshot: snapshotSource }),
+    }, historyEntry);
+    if (result.success) {
+      stats.notificationsSent++;
+    }
+  }
+
+  if (expoTokens.length === 0) {
+    return;
+  }
+
+  // Prepare notification messages for matching tokens (with per-device templates)
+  const messages = [];
+  for (const token of expoTokens) {
+    const { title, body, silent } = formatForDevice(devices.get(token));
+    const imageDelivery = imageDeliveryFor(token);
+    const imageUrl = imageDelivery === 'hosted' ? buildSnapshotUrl(snapshotSource) : thumbnailUrl;
     
     const message = {
       to: token,
-      sound: 'default',
-      title: formatTemplate(templates.title, templateData),
-      body: formatTemplate(templates.body, templateData),
-      priority: 'high',
+      sound: silent ? null : 'default',
+      title,
+      body,
+      priority: silent ? 'normal' : 'high',
       categoryId: 'frigate_detection', // For iOS notification categories
       data: {
         eventId: eventId,
         camera: camera,
+        instance: instance.name,
         label: label,
         score: event.after?.score,
-        thumbnailUrl: thumbnailUrl,
+        thumbnailUrl: imageUrl,
         timestamp: startTime, // Send Unix timestamp for local formatting
+        links, // Footage links (see buildFootageLinks)
         type: 'frigate_detection',
         action: 'live', // Default action when tapped
       },
     };
     
     // Add thumbnail image if available
-    if (thumbnailUrl) {
+    if (imageUrl) {
       // Android: uses 'image' field
-      message.image = thumbnailUrl;
+      message.image = imageUrl;
       
       // iOS: uses 'attachments' array in 'ios' field
       message.ios = {
         attachments: [{
-          url: thumbnailUrl,
+          url: imageUrl,
         }],
       };
     }
@@ -1481,13 +5328,24 @@ async function sendPushNotifications(event) {
     // Android automatically shows actions from data
     // iOS requires notification categories to be registered in the app
     message.android = {
-      sound: 'default',
-      priority: 'high',
+      sound: silent ? null : 'default',
+      priority: silent ? 'normal' : 'high',
       channelId: 'frigate-detections',
     };
     
-    return message;
-  });
+    // Inline image sized to what the message leaves (cached, so similar messages share one fetch)
+    const inlineImage = imageDelivery === 'inline' && await getPayloadImage(message, snapshotSource);
+    if (inlineImage) {
+      Object.assign(message.data, { imageData: inlineImage.data.toString('base64'), imageType: inlineImage.contentType });
+    }
+    
+    const dropped = fitPushPayload(message, message.data, EXPO_OPTIONAL_FIELDS);
+    if (dropped.length > 0) {
+      console.warn(`[Expo] Payload over ${PUSH_PAYLOAD_LIMIT} bytes - left out: ${dropped.join(', ')}`);
+    }
+    
+    messages.push(message);
+  }
   
   try {
     console.log(`[Push] Sending ${messages.length} notification(s)${thumbnailUrl ? ' with image attachment' : ''}...`);
@@ -1509,17 +5367,31 @@ async function sendPushNotifications(event) {
     console.log('[Push] Notifications sent successfully');
     
     // Check for errors in response
+    // Results are returned in the same order as the messages
     if (response.data?.data) {
       response.data.data.forEach((result, index) => {
         if (result.status === 'error') {
           console.error(`[Push] Error for token ${index}:`, result.message);
           stats.notificationsFailed++;
         }
+        const deliveryResult = result.status === 'ok'
+          ? { success: true, messageId: result.id }
+          : {
+            success: false,
+            error: result.details?.error || result.message,
+            permanent: isPermanentTokenError(result.details?.error),
+          };
+        recordDeliveryResult(expoTokens[index], deliveryResult);
+        recordHistoryDelivery(historyEntry, expoTokens[index], toHistoryDelivery(deliveryResult));
       });
     }
     
   } catch (err) {
     stats.notificationsFailed += messages.length;
+    expoTokens.forEach(token => {
+      recordDeliveryResult(token, { success: false, error: err.message });
+      recordHistoryDelivery(historyEntry, token, { status: 'failed', error: err.message });
+    });
     console.error('[Push] Failed to send notifications:', err.response?.data || err.message);
   }
 }
@@ -1527,15 +5399,19 @@ async function sendPushNotifications(event) {
 // Graceful shutdown
 process.on('SIGINT', () => {
   console.log('\n[Bridge] Shutting down gracefully...');
+  storage.flush();
   client.end();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n[Bridge] Received SIGTERM, shutting down...');
+  storage.flush();
   client.end();
   process.exit(0);
 });
 
+settings.watch(); // Hot-reload the config file - reload() logs what changed and what needs a restart
+
 console.log('[Bridge] Aviant Push Bridge started');
 console.log('[Bridge] Waiting for Frigate events...');
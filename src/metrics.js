@@ -0,0 +1,144 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4)
+ *
+ * Provides counters, gauges and histograms with labels, without pulling in a client library:
+ *   counter(name, help, labelNames)                → { inc(labels, value) }
+ *   gauge(name, help, labelNames, collect)         → { set(labels, value) }; collect() may return [{ labels, value }]
+ *   histogram(name, help, labelNames, buckets)     → { observe(labels, value), startTimer(labels) }
+ *   render()                                       → metrics page for GET /metrics
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+// Label values may contain anything (device names), so escape per the exposition format
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  for (const name of labelNames) {
+    picked[name] = labels[name] ?? '';
+  }
+  return picked;
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    lines: () => Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  };
+  // Unlabelled counters are exported as 0 before the first increment
+  if (labelNames.length === 0) {
+    metric.inc({}, 0);
+  }
+  metrics.push(metric);
+  return metric;
+}
+
+function gauge(name, help, labelNames = [], collect = null) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'gauge',
+    set(labels = {}, value) {
+      series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+    },
+    lines() {
+      const values = collect
+        ? collect().map(({ labels = {}, value }) => ({ labels: pickLabels(labelNames, labels), value }))
+        : Array.from(series.values());
+      return values.map(({ labels, value }) => `${name}${formatLabels(labels)} ${Number(value)}`);
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) || {
+        labels: pickLabels(labelNames, labels),
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index]++;
+        }
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    // Returns a function that observes the elapsed seconds (extra labels can be added at the end)
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        metric.observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+    lines() {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function render() {
+  const output = [];
+  for (const metric of metrics) {
+    output.push(`# HELP ${metric.name} ${metric.help}`);
+    output.push(`# TYPE ${metric.name} ${metric.type}`);
+    output.push(...metric.lines());
+  }
+  return `${output.join('\n')}\n`;
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  contentType: 'text/plain; version=0.0.4; charset=utf-8',
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+/**
+ * Bridge settings from a config file (YAML or JSON) and environment variables
+ *
+ *   load({ dataDir })  → live settings object (config.mqtt.host, config.queue.maxAge, ...);
+ *                        throws with every invalid value listed
+ *   reload()           → { errors } or { changed, restartRequired }; reloadable settings are
+ *                        updated in place on the object load() returned
+ *   watch(onReload)    → reload when the config file changes (onReload gets the reload() result)
+ *   describe()         → [{ key, env, value, source, reload }] with secrets redacted
+ *
+ * Precedence, highest first: environment variable → config file → default. Settings that the
+ * API can change (notification cooldowns and filters) are applied on top by the caller.
+ *
+ * The file is CONFIG_FILE, or the first of data/bridge.yml, data/bridge.yaml, data/bridge.json.
+ * It uses the keys below, grouped by section:
+ *
+ *   mqtt:
+ *     host: mqtt://192.168.1.10:1883
+ *   notifications:
+ *     cooldown: 60
+ *     filterLabels: [person, car]
+ */
+
+const CONFIG_FILE_NAMES = ['bridge.yml', 'bridge.yaml', 'bridge.json'];
+const WATCH_INTERVAL = 2000; // ms - polling survives editors that replace the file and Docker bind mounts
+
+// type: string | url | integer | number | boolean | list | enum
+// reload: applied by reload() without a restart; secret: redacted by describe()
+// alias: deprecated variable used when the setting is not set ({ env, values: old value → new value })
+const SCHEMA = [
+  { key: 'mqtt.host', env: 'MQTT_HOST', type: 'url', default: 'mqtt://localhost:1883' },
+  { key: 'mqtt.username', env: 'MQTT_USERNAME', type: 'string', default: null },
+  { key: 'mqtt.password', env: 'MQTT_PASSWORD', type: 'string', default: null, secret: true },
+  { key: 'mqtt.topic', env: 'MQTT_TOPIC', type: 'string', default: 'frigate/reviews' },
+
+  { key: 'frigate.url', env: 'FRIGATE_URL', type: 'url', default: 'http://localhost:5000' },
+  { key: 'frigate.externalUrl', env: 'EXTERNAL_FRIGATE_URL', type: 'url', default: null, reload: true },
+  { key: 'frigate.instanceName', env: 'FRIGATE_INSTANCE_NAME', type: 'string', default: 'default' },
+  { key: 'frigate.username', env: 'FRIGATE_USERNAME', type: 'string', default: null, reload: true },
+  { key: 'frigate.password', env: 'FRIGATE_PASSWORD', type: 'string', default: null, secret: true, reload: true },
+  { key: 'frigate.tokenWarningHours', env: 'FRIGATE_TOKEN_WARNING_HOURS', type: 'number', default: 24, min: 0, reload: true },
+  { key: 'frigate.tokenRefreshMinutes', env: 'FRIGATE_TOKEN_REFRESH_MINUTES', type: 'number', default: 60, min: 0, reload: true },
+
+  { key: 'bridge.port', env: 'BRIDGE_PORT', type: 'integer', default: 3002, min: 1, max: 65535 },
+  { key: 'bridge.publicUrl', env: 'BRIDGE_PUBLIC_URL', type: 'url', default: null },
+
+  { key: 'notifications.cooldown', env: 'NOTIFICATION_COOLDOWN', type: 'integer', default: 30, min: 0, reload: true },
+  { key: 'notifications.cameraCooldown', env: 'CAMERA_COOLDOWN', type: 'integer', default: 0, min: 0, reload: true },
+  { key: 'notifications.filterLabels', env: 'FILTER_LABELS', type: 'list', default: [], reload: true },
+  { key: 'notifications.filterCameras', env: 'FILTER_CAMERAS', type: 'list', default: [], reload: true },
+  { key: 'notifications.filterSubLabels', env: 'FILTER_SUB_LABELS', type: 'list', default: [], reload: true },
+  { key: 'notifications.ignoreSubLabels', env: 'IGNORE_SUB_LABELS', type: 'list', default: [], reload: true },
+  { key: 'notifications.severityFilter', env: 'SEVERITY_FILTER', type: 'enum', values: ['alert', 'detection', 'all'], default: 'alert', reload: true },
+
+  { key: 'devices.deadTokenAction', env: 'DEAD_TOKEN_ACTION', type: 'enum', values: ['deactivate', 'remove'], default: 'deactivate', reload: true },
+  { key: 'devices.failingThreshold', env: 'FAILING_THRESHOLD', type: 'integer', default: 3, min: 1, reload: true },
+
+  { key: 'security.adminKey', env: 'ADMIN_KEY', type: 'string', default: null, secret: true },
+  { key: 'security.authToken', env: 'AUTH_TOKEN', type: 'string', default: null, secret: true, reload: true },
+  { key: 'security.pairingCodeTtl', env: 'PAIRING_CODE_TTL', type: 'integer', default: 10, min: 1, max: 1440, reload: true },
+  { key: 'security.requirePairing', env: 'REQUIRE_PAIRING', type: 'boolean', default: false, reload: true },
+
+  { key: 'media.urlTtl', env: 'MEDIA_URL_TTL', type: 'integer', default: 3600, min: 60, reload: true },
+  { key: 'media.signingSecret', env: 'MEDIA_SIGNING_SECRET', type: 'string', default: null, secret: true },
+  { key: 'media.tokenInUrls', env: 'MEDIA_TOKEN_IN_URLS', type: 'boolean', default: null, reload: true }, // unset = true until BRIDGE_PUBLIC_URL is set
+  { key: 'snapshot.maxKb', env: 'SNAPSHOT_MAX_KB', type: 'integer', default: 300, min: 1, reload: true },
+  { key: 'snapshot.cacheTtl', env: 'SNAPSHOT_CACHE_TTL', type: 'integer', default: 300, min: 0, reload: true },
+
+  { key: 'actions.snoozeMinutes', env: 'ACTION_SNOOZE_MINUTES', type: 'integer', default: 30, min: 1, reload: true },
+  { key: 'actions.muteMinutes', env: 'ACTION_MUTE_MINUTES', type: 'integer', default: 60, min: 1, reload: true },
+  { key: 'actions.ttl', env: 'ACTION_TTL', type: 'integer', default: 86400, min: 60, reload: true },
+
+  { key: 'fcm.mode', env: 'FCM_MODE', type: 'enum', values: ['auto', 'proxy', 'direct'], default: 'auto',
+    alias: { env: 'USE_LEGACY_FCM', values: { true: 'direct', false: 'proxy' } } },
+  { key: 'fcm.serviceAccount', env: 'FCM_SERVICE_ACCOUNT', type: 'string', default: null },
+  { key: 'proxy.url', env: 'NOTIFICATION_PROXY_URL', type: 'url', default: 'https://notify.aviant.app' },
+  { key: 'proxy.token', env: 'NOTIFICATION_PROXY_TOKEN', type: 'string', default: null, secret: true },
+
+  { key: 'queue.maxAge', env: 'QUEUE_MAX_AGE', type: 'integer', default: 600, min: 1, reload: true },
+  { key: 'queue.endGrace', env: 'QUEUE_END_GRACE', type: 'integer', default: 60, min: 0, reload: true },
+  { key: 'queue.maxAttempts', env: 'QUEUE_MAX_ATTEMPTS', type: 'integer', default: 8, min: 1, reload: true },
+  { key: 'history.maxEntries', env: 'HISTORY_MAX_ENTRIES', type: 'integer', default: 1000, min: 1, reload: true },
+
+  { key: 'storage.backend', env: 'STORAGE_BACKEND', type: 'enum', values: ['json', 'sqlite'], default: 'json' },
+];
+
+const SCHEMA_BY_KEY = new Map(SCHEMA.map(entry => [entry.key, entry]));
+
+let configFile = null;
+let config = null; // Live settings object handed out by load()
+let sources = {}; // key → 'env' | 'file' | 'default'
+
+function findConfigFile(dataDir) {
+  if (process.env.CONFIG_FILE) {
+    return path.resolve(process.env.CONFIG_FILE);
+  }
+  const existing = CONFIG_FILE_NAMES.map(name => path.join(dataDir, name)).find(file => fs.existsSync(file));
+  return existing || path.join(dataDir, CONFIG_FILE_NAMES[0]); // Watched, so creating it later works too
+}
+
+// Convert a raw value (env string or file value) to the setting's type; returns { value } or { error }
+function coerce(entry, raw) {
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+  switch (entry.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof text === 'number' ? text : (/^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN);
+      if (!Number.isFinite(value) || (entry.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `must be a ${entry.type === 'integer' ? 'whole number' : 'number'}` };
+      }
+      if (entry.min !== undefined && value < entry.min) {
+        return { error: `must be at least ${entry.min}` };
+      }
+      if (entry.max !== undefined && value > entry.max) {
+        return { error: `must be at most ${entry.max}` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (typeof text === 'boolean') {
+        return { value: text };
+      }
+      if (['true', 'false'].includes(String(text).toLowerCase())) {
+        return { value: String(text).toLowerCase() === 'true' };
+      }
+      return { error: 'must be true or false' };
+    case 'list': {
+      const items = Array.isArray(text) ? text : (typeof text === 'string' ? text.split(',') : null);
+      if (!items || items.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+        return { error: 'must be a list of names (or a comma-separated string)' };
+      }
+      return { value: items.map(item => String(item).trim()).filter(Boolean) };
+    }
+    case 'enum': {
+      const value = typeof text === 'string' ? text.toLowerCase() : text;
+      if (!entry.values.includes(value)) {
+        return { error: `must be one of: ${entry.values.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'url':
+      if (typeof text !== 'string' || !/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(text)) {
+        return { error: 'must be a URL such as http://host:port' };
+      }
+      return { value: text.replace(/\/+$/, '') };
+    default:
+      if (typeof text !== 'string' && typeof text !== 'number') {
+        return { error: 'must be a string' };
+      }
+      return { value: String(text) };
+  }
+}
+
+// Flatten the config file into { 'section.key': value }; unknown keys are errors
+function readConfigFile(errors) {
+  if (!fs.existsSync(configFile)) {
+    return {};
+  }
+  let parsed;
+  try {
+    const text = fs.readFileSync(configFile, 'utf8');
+    parsed = configFile.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    errors.push(`${configFile}: ${err.message}`);
+    return {};
+  }
+  if (parsed === null || parsed === undefined) {
+    return {}; // Empty file
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    errors.push(`${configFile}: expected sections such as "mqtt:" and "notifications:" at the top level`);
+    return {};
+  }
+
+  const values = {};
+  for (const [section, entries] of Object.entries(parsed)) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      errors.push(`${section} (${configFile}): expected a section of settings`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(entries)) {
+      const key = `${section}.${name}`;
+      if (!SCHEMA_BY_KEY.has(key)) {
+        errors.push(`${key} (${configFile}): unknown setting`);
+      } else if (value !== null) {
+        values[key] = value;
+      }
+    }
+  }
+  return values;
+}
+
+// Resolve every setting from env, file and defaults; returns { values, sources, errors }
+function resolve() {
+  const errors = [];
+  const fileValues = readConfigFile(errors);
+  const values = {};
+  const resolvedSources = {};
+  const deprecated = [];
+
+  for (const entry of SCHEMA) {
+    const envValue = process.env[entry.env];
+    const aliasValue = entry.alias?.values[process.env[entry.alias.env]];
+    let raw;
+    let source = 'default';
+    if (envValue !== undefined && envValue !== '') {
+      raw = envValue;
+      source = 'env';
+    } else if (fileValues[entry.key] !== undefined) {
+      raw = fileValues[entry.key];
+      source = 'file';
+    } else if (aliasValue !== undefined) {
+      raw = aliasValue;
+      source = 'env';
+      deprecated.push(`${entry.alias.env}=${process.env[entry.alias.env]} is deprecated, use ${entry.env}=${aliasValue}`);
+    }
+
+    if (source === 'default') {
+      values[entry.key] = entry.default;
+    } else {
+      const result = coerce(entry, raw);
+      if (result.error) {
+        errors.push(source === 'env'
+          ? `${entry.env}=${JSON.stringify(envValue)}: ${result.error}`
+          : `${entry.key} (${configFile}): ${result.error}`);
+        continue;
+      }
+      values[entry.key] = result.value;
+    }
+    resolvedSources[entry.key] = source;
+  }
+  return { values, sources: resolvedSources, errors, deprecated };
+}
+
+function setValue(target, key, value) {
+  const [section, name] = key.split('.');
+  target[section] = target[section] || {};
+  target[section][name] = Array.isArray(value) ? [...value] : value;
+}
+
+function load({ dataDir }) {
+  configFile = findConfigFile(dataDir);
+  const result = resolve();
+  if (result.errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${result.errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  config = {};
+  for (const [key, value] of Object.entries(result.values)) {
+    setValue(config, key, value);
+  }
+  sources = result.sources;
+  for (const warning of result.deprecated) {
+    console.warn(`[Config] ${warning}`);
+  }
+  if (fs.existsSync(configFile)) {
+    console.log(`[Config] Loaded ${configFile}`);
+  }
+  return config;
+}
+
+function reload() {
+  const result = resolve();
+  if (result.errors.length > 0) {
+    console.error(`[Config] Reload failed, keeping the current settings:\n${result.errors.map(error => `  - ${error}`).join('\n')}`);
+    return { errors: result.errors };
+  }
+
+  const changed = [];
+  const restartRequired = [];
+  for (const entry of SCHEMA) {
+    const [section, name] = entry.key.split('.');
+    const value = result.values[entry.key];
+    if (JSON.stringify(config[section][name]) === JSON.stringify(value)) {
+      continue;
+    }
+    if (entry.reload) {
+      setValue(config, entry.key, value);
+      sources[entry.key] = result.sources[entry.key];
+      changed.push(entry.key);
+    } else {
+      restartRequired.push(entry.key);
+    }
+  }
+
+  if (changed.length > 0) {
+    console.log(`[Config] Reloaded ${configFile}: ${changed.join(', ')}`);
+  }
+  if (restartRequired.length > 0) {
+    console.log(`[Config] Restart the bridge to apply: ${restartRequired.join(', ')}`);
+  }
+  return { changed, restartRequired };
+}
+
+function watch(onReload) {
+  fs.watchFile(configFile, { interval: WATCH_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      const result = reload();
+      onReload?.(result);
+    }
+  }).unref();
+}
+
+function describe() {
+  return SCHEMA.map(entry => {
+    const [section, name] = entry.key.split('.');
+    const value = config[section][name];
+    return {
+      key: entry.key,
+      env: entry.env,
+      value: entry.secret && value ? '***configured***' : value,
+      source: sources[entry.key],
+      reload: !!entry.reload,
+    };
+  });
+}
+
+module.exports = {
+  load,
+  reload,
+  watch,
+  describe,
+  get file() {
+    return configFile;
+  },
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent storage for the bridge's state (devices, config, snoozes, queue, history)
+ *
+ * Every collection is one JSON document with a schema version:
+ *   open({ dir, backend })                        → selects the backend ('json' or 'sqlite')
+ *   collection(name, { version, migrations, defaults, delay })
+ *                                                 → { load(), save(value), flush() }
+ *   flush()                                       → write every pending save (also runs on exit)
+ *   writeJsonFile(file, value)                    → atomic write for files kept outside the backend
+ *   retireFile(name)                              → read a legacy data file and rename it to .migrated
+ *
+ * Backends:
+ *   json   - data/<name>.json as { version, data }, written to a temp file, fsynced and renamed,
+ *            so a crash leaves either the old or the new file, never half of one
+ *   sqlite - data/bridge.db, one row per collection (needs the optional better-sqlite3 package).
+ *            Existing JSON files are imported on first start and renamed to .migrated.
+ *
+ * save() is debounced: changes in quick succession (a review fanning out to ten devices) become
+ * one write `delay` ms later. Files written before schema versions (a bare array or object) load
+ * as version 0; migrations[n] upgrades version n to n + 1, and the original file is kept as .bak.
+ */
+
+const DEFAULT_DELAY = 1000; // ms
+
+let dataDir = null;
+let backend = null;
+const collections = new Map(); // name → collection
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Defaults filled in under saved values, including nested objects (arrays are replaced, not merged)
+function mergeDefaults(defaults, saved) {
+  if (!isPlainObject(defaults) || !isPlainObject(saved)) {
+    return saved === undefined ? defaults : saved;
+  }
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(saved)) {
+    merged[key] = mergeDefaults(defaults[key], value);
+  }
+  return merged;
+}
+
+// Write to a temp file, fsync, then rename over the target (atomic on the same filesystem)
+function writeFileAtomic(file, contents) {
+  const temp = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(temp, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(temp, file);
+}
+
+function writeJsonFile(file, value) {
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+function readJsonFile(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined;
+}
+
+// Stored documents are { version, data }; anything else predates schema versions
+const toDocument = stored => (isPlainObject(stored) && Number.isInteger(stored.version) && 'data' in stored
+  ? stored
+  : { version: 0, data: stored });
+
+const jsonBackend = {
+  name: 'json',
+  read(name) {
+    const stored = readJsonFile(path.join(dataDir, `${name}.json`));
+    return stored === undefined ? null : toDocument(stored);
+  },
+  write(name, version, data, pretty) {
+    writeFileAtomic(path.join(dataDir, `${name}.json`), JSON.stringify({ version, data }, null, pretty ? 2 : 0));
+  },
+  backup(name, suffix) {
+    const file = path.join(dataDir, `${name}.json`);
+    if (fs.existsSync(file)) {
+      fs.copyFileSync(file, `${file}.${suffix}`);
+    }
+  },
+};
+
+function createSqliteBackend() {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+  }
+
+  const db = new Database(path.join(dataDir, 'bridge.db'));
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS collections (
+    name TEXT PRIMARY KEY,
+    version INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+  const select = db.prepare('SELECT version, data FROM collections WHERE name = ?');
+  const upsert = db.prepare(`INSERT INTO collections (name, version, data, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET version = excluded.version, data = excluded.data, updated_at = excluded.updated_at`);
+
+  return {
+    name: 'sqlite',
+    read(name) {
+      const row = select.get(name);
+      if (row) {
+        return { version: row.version, data: JSON.parse(row.data) };
+      }
+      // First start on SQLite - import the collection's JSON file
+      const file = path.join(dataDir, `${name}.json`);
+      const stored = readJsonFile(file);
+      if (stored === undefined) {
+        return null;
+      }
+      const document = toDocument(stored);
+      upsert.run(name, document.version, JSON.stringify(document.data), new Date().toISOString());
+      fs.renameSync(file, `${file}.migrated`);
+      console.log(`[Storage] Imported ${name}.json into SQLite`);
+      return document;
+    },
+    write(name, version, data) {
+      upsert.run(name, version, JSON.stringify(data), new Date().toISOString());
+    },
+    backup(name, suffix) {
+      const row = select.get(name);
+      if (row) {
+        writeJsonFile(path.join(dataDir, `${name}.json.${suffix}`), { version: row.version, data: JSON.parse(row.data) });
+      }
+    },
+    close: () => db.close(),
+  };
+}
+
+function open({ dir, backend: backendName = 'json' }) {
+  dataDir = dir;
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+  if (backendName === 'sqlite') {
+    backend = createSqliteBackend();
+  } else if (backendName === 'json') {
+    backend = jsonBackend;
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backendName} (use json or sqlite)`);
+  }
+  // Pending debounced writes must not be lost on shutdown (process.exit) or a crash
+  process.on('exit', () => {
+    flush();
+    backend.close?.();
+  });
+  console.log(`[Storage] Backend: ${backend.name} (${dataDir})`);
+}
+
+function collection(name, { version = 1, migrations = {}, defaults, delay = DEFAULT_DELAY, pretty = true } = {}) {
+  let pending; // Value passed to the last save() that hasn't been written yet
+  let timer = null;
+
+  function write(value) {
+    try {
+      backend.write(name, version, value, pretty);
+    } catch (err) {
+      console.error(`[Storage] Error saving ${name}:`, err.message);
+    }
+  }
+
+  const store = {
+    name,
+
+    // Stored data upgraded to the current version, with defaults filled in (undefined if never saved)
+    load() {
+      let document;
+      try {
+        document = backend.read(name);
+      } catch (err) {
+        // Keep the unreadable copy - the next save() replaces the original
+        console.error(`[Storage] Error loading ${name}, starting empty (unreadable copy kept as ${name}.json.corrupt):`, err.message);
+        try {
+          backend.backup(name, 'corrupt');
+        } catch (backupErr) {
+          console.error(`[Storage] Error keeping unreadable ${name}:`, backupErr.message);
+        }
+        return defaults;
+      }
+      if (!document) {
+        return defaults;
+      }
+      if (document.version > version) {
+        console.error(`[Storage] ${name} was saved by a newer bridge (schema v${document.version}, this version reads v${version}) - loading it as is`);
+      } else if (document.version < version) {
+        backend.backup(name, `v${document.version}.bak`);
+        let data = document.data;
+        for (let from = document.version; from < version; from++) {
+          if (migrations[from]) {
+            data = migrations[from](data);
+          }
+        }
+        console.log(`[Storage] Migrated ${name} from schema v${document.version} to v${version}`);
+        write(data);
+        document = { version, data };
+      }
+      return defaults === undefined ? document.data : mergeDefaults(defaults, document.data);
+    },
+
+    // Debounced: the value is serialized when the write happens, so later in-place changes are included
+    save(value) {
+      pending = value;
+      if (!timer) {
+        timer = setTimeout(store.flush, delay);
+      }
+    },
+
+    flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (pending !== undefined) {
+        const value = pending;
+        pending = undefined;
+        write(value);
+      }
+    },
+  };
+
+  collections.set(name, store);
+  return store;
+}
+
+function flush() {
+  for (const store of collections.values()) {
+    store.flush();
+  }
+}
+
+// Read a data file that no longer has a collection of its own; it is renamed so it is only migrated once
+function retireFile(fileName) {
+  const file = path.join(dataDir, fileName);
+  try {
+    const value = readJsonFile(file);
+    if (value !== undefined) {
+      fs.renameSync(file, `${file}.migrated`);
+    }
+    return value;
+  } catch (err) {
+    console.error(`[Storage] Error reading ${fileName}:`, err.message);
+    return undefined;
+  }
+}
+
+module.exports = {
+  open,
+  collection,
+  flush,
+  writeJsonFile,
+  retireFile,
+  mergeDefaults,
+  get backend() {
+    return backend?.name || null;
+  },
+};
@@ -0,0 +1,174 @@
+/**
+ * Notification templates (device title/body)
+ *
+ *   {label}                   → variable
+ *   {label|upper}             → variable through filters, chained left to right ({zones|default:Yard|upper})
+ *   {#zones} in {zones}{/zones}  → section shown only when the variable is set (not empty and not 0)
+ *   {^zones}anywhere{/zones}  → section shown only when the variable is empty
+ *
+ * Exports:
+ *   render(template, data)    → string; unknown variables and filters are left as written
+ *   validate(template)        → list of problems (empty when the template is fine)
+ *   uses(template, name)      → whether the template references a variable (to skip work nobody sees)
+ *   VARIABLES, FILTERS, SAMPLE_DATA, DEFAULT_TEMPLATES, DEFAULT_SUMMARY_TEMPLATES
+ */
+
+// Variable → description (sent with previews so the app can list them)
+const VARIABLES = {
+  label: 'Detected objects, capitalized (Person, Car)',
+  sub_label: 'Recognized name or plate (face recognition, LPR)',
+  camera: 'Camera name with underscores as spaces',
+  zones: 'Zones the objects entered (empty when there are none)',
+  time: 'Start time in the device timezone',
+  date: 'Start date in the device timezone',
+  score: 'Top detection score (95%)',
+  severity: 'alert or detection (empty for legacy events)',
+  duration: 'How long the activity has lasted (1m 05s)',
+  object_count: 'Number of tracked objects',
+  instance: 'Frigate instance name',
+  preview_url: 'Animated preview (GIF)',
+  clip_url: 'Recorded clip from start to end (empty until the activity has ended)',
+  event_clip_url: 'Clip of the tracked object',
+  recording_url: 'The review in Frigate\'s timeline',
+};
+
+const FILTERS = {
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  capitalize: value => value.replace(/(^|[\s,])(\S)/g, (match, before, letter) => before + letter.toUpperCase()),
+  default: (value, fallback = '') => value === '' ? fallback : value,
+  truncate: (value, length) => {
+    const max = parseInt(length, 10);
+    return max > 0 && value.length > max ? `${value.slice(0, max).trimEnd()}…` : value;
+  },
+};
+
+// Values used by POST /templates/preview when the app doesn't send its own
+const SAMPLE_DATA = {
+  label: 'Person',
+  sub_label: 'Bob',
+  camera: 'Front Door',
+  zones: 'Driveway, Porch',
+  time: '2:45:10 PM',
+  date: '6/14/2025',
+  score: '95%',
+  severity: 'alert',
+  duration: '12s',
+  object_count: 2,
+  instance: 'frigate',
+  preview_url: 'https://frigate.example.com/api/review/1718900000.123-abc123/preview?format=gif',
+  clip_url: 'https://frigate.example.com/api/front_door/start/1718900000/end/1718900012/clip.mp4',
+  event_clip_url: 'https://frigate.example.com/api/events/1718900000.123-xyz789/clip.mp4',
+  recording_url: 'https://frigate.example.com/review?id=1718900000.123-abc123',
+};
+
+const DEFAULT_TEMPLATES = {
+  title: '{label} detected on {camera}',
+  body: 'Motion{#zones} in {zones}{/zones} at {time}',
+};
+
+// Follow-up sent when a review ends (devices with endSummary)
+const DEFAULT_SUMMARY_TEMPLATES = {
+  title: '{label} on {camera}',
+  body: '{duration} from {time}{#zones} in {zones}{/zones} - tap to watch the clip',
+};
+
+// {name}, {name|filter:arg|...}, {#name}, {^name}, {/name}
+const TAG = /\{([#^/]?)([a-z_]+)((?:\|[a-z]+(?::[^{}|]*)?)*)\}/g;
+
+const isSet = value => value !== undefined && value !== null && value !== '' && value !== 0;
+
+// Template → nodes (strings, { name, filters, text }, { section, inverted, nodes }) plus any problems found
+function parse(template) {
+  const errors = [];
+  const root = { nodes: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const match of template.matchAll(TAG)) {
+    const [text, kind, name, filterText] = match;
+    const current = stack[stack.length - 1];
+    if (match.index > last) {
+      current.nodes.push(template.slice(last, match.index));
+    }
+    last = match.index + text.length;
+
+    if (!VARIABLES[name]) {
+      errors.push(`Unknown variable {${name}}`);
+      current.nodes.push(text);
+      continue;
+    }
+
+    if (kind === '#' || kind === '^') {
+      const section = { section: name, inverted: kind === '^', nodes: [], text };
+      current.nodes.push(section);
+      stack.push(section);
+    } else if (kind === '/') {
+      if (current.section !== name) {
+        errors.push(`{/${name}} without a matching {#${name}}`);
+        current.nodes.push(text);
+      } else {
+        stack.pop();
+      }
+    } else {
+      const filters = filterText.split('|').slice(1).map(filter => {
+        const colon = filter.indexOf(':');
+        return colon === -1 ? { name: filter } : { name: filter.slice(0, colon), arg: filter.slice(colon + 1) };
+      });
+      for (const filter of filters) {
+        if (!FILTERS[filter.name]) {
+          errors.push(`Unknown filter "${filter.name}" in ${text}`);
+        }
+      }
+      current.nodes.push({ name, filters, text });
+    }
+  }
+
+  if (last < template.length) {
+    stack[stack.length - 1].nodes.push(template.slice(last));
+  }
+  for (const section of stack.slice(1)) {
+    errors.push(`${section.text} is never closed with {/${section.section}}`);
+  }
+  return { nodes: root.nodes, errors };
+}
+
+function renderNodes(nodes, data) {
+  return nodes.map(node => {
+    if (typeof node === 'string') {
+      return node;
+    }
+    if (node.section) {
+      return isSet(data[node.section]) !== node.inverted ? renderNodes(node.nodes, data) : '';
+    }
+    const value = data[node.name];
+    return node.filters.reduce(
+      (result, filter) => FILTERS[filter.name] ? FILTERS[filter.name](result, filter.arg) : result,
+      value === undefined || value === null ? '' : String(value)
+    );
+  }).join('');
+}
+
+function render(template, data) {
+  // Collapse the double spaces an empty variable leaves behind ("Motion in  at")
+  return renderNodes(parse(template).nodes, data).replace(/ {2,}/g, ' ').trim();
+}
+
+function validate(template) {
+  return parse(template).errors;
+}
+
+function uses(template, name) {
+  return [...template.matchAll(TAG)].some(match => match[2] === name);
+}
+
+module.exports = {
+  render,
+  validate,
+  uses,
+  VARIABLES,
+  FILTERS,
+  SAMPLE_DATA,
+  DEFAULT_TEMPLATES,
+  DEFAULT_SUMMARY_TEMPLATES,
+};
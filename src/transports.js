@@ -0,0 +1,276 @@
+const axios = require('axios');
+
+/**
+ * Self-hosted push transports (ntfy, Gotify, Pushover)
+ *
+ * Each transport provides:
+ *   validate(settings)             → { settings } or { error } - normalizes registration settings
+ *   identity(settings)             → stable string used to derive the device key
+ *   send(settings, notification)   → { success, messageId, error, permanent, retryable }
+ *   secrets                        → settings keys redacted from API responses
+ *
+ * `notification` is the same data the FCM/Expo transports receive:
+ *   { title, body, thumbnailUrl, clickUrl, links, camera, reviewId, severity, silent, image }
+ * `image` ({ data: Buffer, contentType }) is set when the bridge fetched the snapshot for inline delivery.
+ * `links` holds footage URLs ({ previewGif, previewMp4, clip, eventClip, recording }, null when unavailable).
+ */
+
+const IMAGE_FETCH_TIMEOUT = 5000;
+const PUSHOVER_MAX_ATTACHMENT = 2.5 * 1024 * 1024; // Pushover rejects attachments over 2.5 MB
+
+const isHttpUrl = value => typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value);
+const imageExtension = contentType => (contentType === 'image/webp' ? 'webp' : 'jpg');
+const trimSlash = value => value.replace(/\/+$/, '');
+
+// Footage buttons for clients that support them (ntfy allows three)
+function footageButtons(links = {}) {
+  return [
+    ['Clip', links.clip || links.eventClip],
+    ['Preview', links.previewMp4 || links.previewGif],
+    ['Timeline', links.recording],
+  ].filter(([, url]) => url).map(([label, url]) => ({ action: 'view', label, url }));
+}
+
+// Network errors, timeouts, 5xx and 429 are worth retrying; other 4xx responses are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+// Turn an axios error into a transport result
+function toFailure(name, error, permanentStatuses = []) {
+  const status = error.response?.status;
+  const detail = error.response?.data?.error || error.response?.data?.errors?.join(', ') || error.message;
+  console.error(`[${name}] Failed to send:`, detail);
+  return {
+    success: false,
+    error: detail,
+    permanent: permanentStatuses.includes(status),
+    retryable: isRetryable(error),
+  };
+}
+
+// Fetch an image so it can be attached inline (returns null if unavailable)
+async function fetchImage(url) {
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: IMAGE_FETCH_TIMEOUT });
+    return {
+      data: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || 'image/jpeg',
+    };
+  } catch (error) {
+    console.log(`[Transport] Could not fetch thumbnail for attachment: ${error.message}`);
+    return null;
+  }
+}
+
+// === ntfy (https://ntfy.sh or self-hosted) ===
+
+const ntfy = {
+  secrets: ['token'],
+
+  validate(input = {}) {
+    const settings = {
+      server: trimSlash(input.server || 'https://ntfy.sh'),
+      topic: input.topic,
+      token: input.token || null,
+    };
+    if (!isHttpUrl(settings.server)) {
+      return { error: 'ntfy server must be an http(s) URL' };
+    }
+    if (typeof settings.topic !== 'string' || !/^[-_A-Za-z0-9]{1,64}$/.test(settings.topic)) {
+      return { error: 'ntfy topic must be 1-64 letters, numbers, "-" or "_"' };
+    }
+    if (settings.token !== null && typeof settings.token !== 'string') {
+      return { error: 'ntfy token must be a string' };
+    }
+    return { settings };
+  },
+
+  identity: settings => `${settings.server}/${settings.topic}`,
+
+  async send(settings, notification) {
+    const { title, body, thumbnailUrl, clickUrl, links, camera, severity, silent, image } = notification;
+    const authHeader = settings.token ? { Authorization: `Bearer ${settings.token}` } : {};
+    const actions = footageButtons(links);
+    try {
+      let response;
+      if (image) {
+        // Inline image: upload it as the attachment, message fields go in the query string
+        response = await axios.put(`${settings.server}/${settings.topic}`, image.data, {
+          params: {
+            title: title || 'Frigate Alert',
+            message: body || 'Motion detected',
+            priority: silent ? 2 : 4,
+            tags: [severity || 'alert', camera].filter(Boolean).join(','),
+            filename: `${camera || 'snapshot'}.${imageExtension(image.contentType)}`,
+            ...(clickUrl && { click: clickUrl }),
+            ...(actions.length > 0 && { actions: actions.map(({ action, label, url }) => `${action}, ${label}, ${url}`).join('; ') }),
+          },
+          headers: { 'Content-Type': image.contentType, ...authHeader },
+          timeout: 10000,
+        });
+      } else {
+        response = await axios.post(settings.server, {
+          topic: settings.topic,
+          title: title || 'Frigate Alert',
+          message: body || 'Motion detected',
+          priority: silent ? 2 : 4,
+          tags: [severity || 'alert', camera].filter(Boolean),
+          ...(thumbnailUrl && { attach: thumbnailUrl, filename: `${camera || 'snapshot'}.jpg` }),
+          ...(clickUrl && { click: clickUrl }),
+          ...(actions.length > 0 && { actions }),
+        }, {
+          headers: { 'Content-Type': 'application/json', ...authHeader },
+          timeout: 10000,
+        });
+      }
+      console.log('[ntfy] Message sent:', response.data?.id);
+      return { success: true, messageId: response.data?.id };
+    } catch (error) {
+      // 401/403 = bad access token, 404 = topic/server gone
+      return toFailure('ntfy', error, [401, 403, 404]);
+    }
+  },
+};
+
+// === Gotify (self-hosted) ===
+
+const gotify = {
+  secrets: ['appToken'],
+
+  validate(input = {}) {
+    const settings = {
+      server: typeof input.server === 'string' ? trimSlash(input.server) : input.server,
+      appToken: input.appToken,
+    };
+    if (!isHttpUrl(settings.server)) {
+      return { error: 'Gotify server must be an http(s) URL' };
+    }
+    if (typeof settings.appToken !== 'string' || settings.appToken.length < 5) {
+      return { error: 'Gotify appToken is required' };
+    }
+    return { settings };
+  },
+
+  identity: settings => `${settings.server}#${settings.appToken}`,
+
+  async send(settings, notification) {
+    const { title, body, thumbnailUrl, clickUrl, silent } = notification;
+    try {
+      const response = await axios.post(`${settings.server}/message`, {
+        title: title || 'Frigate Alert',
+        message: body || 'Motion detected',
+        priority: silent ? 2 : 8,
+        extras: {
+          'client::display': { contentType: 'text/plain' },
+          'client::notification': {
+            ...(thumbnailUrl && { bigImageUrl: thumbnailUrl }),
+            ...(clickUrl && { click: { url: clickUrl } }),
+          },
+        },
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Gotify-Key': settings.appToken,
+        },
+        timeout: 10000,
+      });
+      console.log('[Gotify] Message sent:', response.data?.id);
+      return { success: true, messageId: response.data?.id?.toString() };
+    } catch (error) {
+      // 401/403 = application token revoked
+      return toFailure('Gotify', error, [401, 403]);
+    }
+  },
+};
+
+// === Pushover (https://pushover.net) ===
+
+// { user: 'invalid' } or { token: 'invalid' }, with errors like "application token is invalid"
+function isInvalidPushoverKey(error) {
+  const data = error.response?.data || {};
+  return data.user === 'invalid' || data.token === 'invalid' ||
+    (data.errors || []).some(message => /\b(user|application token|token)\b.*\b(invalid|not a valid)\b/i.test(message));
+}
+
+const pushover = {
+  secrets: ['appToken'],
+
+  validate(input = {}) {
+    const settings = {
+      appToken: input.appToken,
+      userKey: input.userKey,
+      device: input.device || null,
+    };
+    if (typeof settings.appToken !== 'string' || !/^[A-Za-z0-9]{30}$/.test(settings.appToken)) {
+      return { error: 'Pushover appToken must be a 30 character application token' };
+    }
+    if (typeof settings.userKey !== 'string' || !/^[A-Za-z0-9]{30}$/.test(settings.userKey)) {
+      return { error: 'Pushover userKey must be a 30 character user or group key' };
+    }
+    if (settings.device !== null && typeof settings.device !== 'string') {
+      return { error: 'Pushover device must be a string' };
+    }
+    return { settings };
+  },
+
+  identity: settings => `${settings.userKey}/${settings.device || '*'}`,
+
+  async send(settings, notification) {
+    const { title, body, thumbnailUrl, clickUrl, silent, image: inlineImage } = notification;
+
+    const message = {
+      token: settings.appToken,
+      user: settings.userKey,
+      title: title || 'Frigate Alert',
+      message: body || 'Motion detected',
+      priority: silent ? -1 : 0,
+      ...(settings.device && { device: settings.device }),
+      ...(clickUrl && { url: clickUrl, url_title: clickUrl === notification.links?.recording ? 'Open timeline' : 'Watch clip' }),
+    };
+
+    // Pushover can't fetch images itself, so attach the thumbnail inline (already fetched by the bridge if set)
+    if (inlineImage || thumbnailUrl) {
+      const image = inlineImage || await fetchImage(thumbnailUrl);
+      if (image && image.data.length <= PUSHOVER_MAX_ATTACHMENT) {
+        message.attachment_base64 = image.data.toString('base64');
+        message.attachment_type = image.contentType;
+      }
+    }
+
+    try {
+      const response = await axios.post('https://api.pushover.net/1/messages.json', message, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000,
+      });
+      console.log('[Pushover] Message sent:', response.data?.request);
+      return { success: true, messageId: response.data?.request };
+    } catch (error) {
+      // Pushover answers 400 to any invalid request (message too long, bad attachment, ...); only an
+      // invalid user key or application token means the device is gone for good
+      return toFailure('Pushover', error, isInvalidPushoverKey(error) ? [error.response.status] : []);
+    }
+  },
+};
+
+const selfHostedTransports = { ntfy, gotify, pushover };
+
+// Replace secret settings with a placeholder for API responses
+function redactTransportSettings(transport, settings) {
+  if (!settings || !selfHostedTransports[transport]) {
+    return settings;
+  }
+  const redacted = { ...settings };
+  for (const key of selfHostedTransports[transport].secrets) {
+    if (redacted[key]) {
+      redacted[key] = '***configured***';
+    }
+  }
+  return redacted;
+}
+
+module.exports = {
+  selfHostedTransports,
+  redactTransportSettings,
+};